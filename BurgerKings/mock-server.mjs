@@ -0,0 +1,117 @@
+/*
+ * Mock weather API server for offline development and CI.
+ * Serves the endpoints WeatherApiClient calls (/weather, /forecast/hourly,
+ * /forecast/daily, /geo/direct) from the seeded fixtures in weather-mock.mjs,
+ * under any path prefix, so the default /v3 base works too.
+ *
+ *   node mock-server.mjs --port 8787 --latency 200 --failure-rate 0.1
+ *
+ * then point the client at it: new WeatherApiClient(key, { baseUrl: 'http://localhost:8787' })
+ * or open weather.html?api=http://localhost:8787.
+ *
+ * Options (flags or MOCK_* environment variables): port, seed, scenario,
+ * latency (ms), failure-rate (0-1) and failure-status. Single requests can
+ * add mock_status, mock_delay or mock_scenario to the query string.
+ */
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { MOCK_SCENARIOS, generateMockPayload } from './weather-mock.mjs';
+
+// ==================== CONSTANTS ====================
+const DEFAULT_PORT = 8787;
+const DEFAULT_FAILURE_STATUS = 503;
+
+// ==================== SERVER ====================
+// Pages on another origin can only read Retry-After if it is exposed.
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    ...headers
+  });
+  response.end(JSON.stringify(body));
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function pickFailure(url, options) {
+  const forced = Number(url.searchParams.get('mock_status'));
+  if (forced) return forced;
+  if (options.failureRate > 0 && Math.random() < options.failureRate) {
+    return options.failureStatus || DEFAULT_FAILURE_STATUS;
+  }
+  return null;
+}
+
+async function handleRequest(request, response, options) {
+  const url = new URL(request.url, 'http://localhost');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+    return response.end();
+  }
+  if (url.pathname === '/health') return sendJson(response, 200, { ok: true });
+  if (request.method !== 'GET') return sendJson(response, 405, { cod: '405', message: 'Method not allowed' });
+
+  const scenario = url.searchParams.get('mock_scenario') || options.scenario;
+  const scenarioLatency = MOCK_SCENARIOS[scenario]?.latency || 0;
+  await delay((Number(url.searchParams.get('mock_delay')) || options.latency || 0) + scenarioLatency);
+
+  const failure = pickFailure(url, options);
+  if (failure) {
+    const headers = failure === 429 ? { 'Retry-After': '1' } : {};
+    return sendJson(response, failure, { cod: String(failure), message: 'Injected failure' }, headers);
+  }
+
+  let result;
+  try {
+    result = generateMockPayload(url.pathname, url.searchParams, { seed: options.seed, scenario, cities: options.cities });
+  } catch (error) {
+    return sendJson(response, 400, { cod: '400', message: error.message });
+  }
+  if (!result) return sendJson(response, 404, { cod: '404', message: 'Unknown endpoint' });
+  sendJson(response, result.status, result.body);
+}
+
+function createMockServer(options = {}) {
+  return http.createServer((request, response) => {
+    handleRequest(request, response, options).catch(error => {
+      console.error('Mock server error:', error);
+      if (!response.headersSent) sendJson(response, 500, { cod: '500', message: 'Mock server error' });
+    });
+  });
+}
+
+// ==================== CLI ====================
+function parseArgs(argv, env = {}) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const [name, inline] = argv[i].slice(2).split('=');
+    flags[name] = inline ?? argv[++i];
+  }
+  const read = (flag, variable) => flags[flag] ?? env[variable];
+  return {
+    port: Number(read('port', 'MOCK_PORT')) || DEFAULT_PORT,
+    seed: read('seed', 'MOCK_SEED') !== undefined ? Number(read('seed', 'MOCK_SEED')) : undefined,
+    scenario: read('scenario', 'MOCK_SCENARIO') || 'normal',
+    latency: Number(read('latency', 'MOCK_LATENCY')) || 0,
+    failureRate: Number(read('failure-rate', 'MOCK_FAILURE_RATE')) || 0,
+    failureStatus: Number(read('failure-status', 'MOCK_FAILURE_STATUS')) || DEFAULT_FAILURE_STATUS
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const options = parseArgs(process.argv.slice(2), process.env);
+  if (!MOCK_SCENARIOS[options.scenario]) {
+    console.error(`Unknown scenario "${options.scenario}". Try: ${Object.keys(MOCK_SCENARIOS).join(', ')}`);
+    process.exit(1);
+  }
+  createMockServer(options).listen(options.port, () => {
+    console.log(`Mock weather API on http://localhost:${options.port} (scenario: ${options.scenario})`);
+  });
+}
+
+export { createMockServer, parseArgs };
@@ -1,608 +1,1341 @@
-
 /*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
+ * Weather Application, browser entry point.
+ * Widgets, dashboard and page wiring on top of weather-core.mjs. Load it
+ * with <script type="module" src="script.js">.
  */
+import {
+  SYSTEM_CLOCK,
+  MAX_CONCURRENT_REQUESTS,
+  CACHE_TTL,
+  UNITS,
+  UNIT_SYSTEM_LABELS,
+  UNIT_DEFINITIONS,
+  generateRandomId,
+  formatAge,
+  formatDuration,
+  debounce,
+  EventEmitter,
+  resolveUnits,
+  HttpError,
+  CityNotFoundError,
+  AuthError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  normalizeSearchText,
+  formatPlaceLabel,
+  placeToLocation,
+  normalizeLocation,
+  describeLocation,
+  WeatherApiClient
+} from './weather-core.mjs';
+import { renderWeatherIcon } from './weather-icons.mjs';
+
+export * from './weather-core.mjs';
 
 // ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
+const DEFAULT_CITY = 'London';
+const AUTOCOMPLETE_DELAY = 250;
+const AUTO_REFRESH_INTERVAL = CACHE_TTL;
+const AUTO_REFRESH_STAGGER = 5 * 1000; // gap between widgets refreshing together
+const WIDGET_CLEANUP_INTERVAL = 60 * 60 * 1000; // drops widgets whose container left the page
+const CUSTOM_UNITS = 'CUSTOM'; // units select value for a per-quantity mix
+const UNIT_QUANTITY_LABELS = {
+  temperature: 'Temperature',
+  speed: 'Wind',
+  pressure: 'Pressure',
+  precipitation: 'Precipitation'
 };
 
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+// ==================== THEMES ====================
+// A theme is a set of colours the widget card exposes as CSS custom
+// properties: `accentText` becomes --weather-accent-text, and so on.
+// weather.css falls back to the light values for anything a theme omits.
+const WIDGET_THEMES = {
+  light: {
+    background: '#ffffff',
+    surface: '#f3f4f6',
+    text: '#1f2937',
+    muted: '#6b7280',
+    border: '#d1d5db',
+    accent: '#2563eb',
+    accentText: '#ffffff',
+    highlight: '#eff6ff',
+    info: '#1d4ed8',
+    warning: '#b45309',
+    error: '#b91c1c',
+    iconCloud: '#94a3b8',
+    iconMoon: '#64748b',
+    shadow: '0 2px 8px rgba(0, 0, 0, 0.08)'
+  },
+  dark: {
+    background: '#1f2937',
+    surface: '#374151',
+    text: '#f9fafb',
+    muted: '#9ca3af',
+    border: '#4b5563',
+    accent: '#3b82f6',
+    accentText: '#ffffff',
+    highlight: '#1e3a8a',
+    info: '#93c5fd',
+    warning: '#fbbf24',
+    error: '#fca5a5',
+    iconCloud: '#cbd5e1',
+    iconMoon: '#e2e8f0',
+    shadow: '0 2px 8px rgba(0, 0, 0, 0.4)'
+  },
+  'high-contrast': {
+    background: '#000000',
+    surface: '#000000',
+    text: '#ffffff',
+    muted: '#ffffff',
+    border: '#ffffff',
+    accent: '#ffff00',
+    accentText: '#000000',
+    highlight: '#333333',
+    info: '#00ffff',
+    warning: '#ffff00',
+    error: '#ff8080',
+    iconCloud: '#ffffff',
+    iconMoon: '#ffffff',
+    shadow: 'none'
   }
-  return result;
-}
+};
 
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
+// Checked in order by the `auto` theme; light when none match.
+const PREFERRED_THEME_QUERIES = {
+  'high-contrast': '(prefers-contrast: more)',
+  dark: '(prefers-color-scheme: dark)'
+};
 
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
+// Condition types from classifyConditions() grouped into the card tints
+// defined in weather.css.
+const CONDITION_TINTS = {
+  clear: 'sunny',
+  'partly-cloudy': 'sunny',
+  cloudy: 'cloudy',
+  mist: 'cloudy',
+  rain: 'rainy',
+  thunderstorm: 'rainy',
+  snow: 'snowy'
+};
 
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
+// `theme` may name a base theme to start from; it defaults to light.
+function registerWidgetTheme(name, theme) {
+  if (!theme || typeof theme !== 'object') throw new Error('A widget theme must be an object of colours');
+  if (name === 'auto' || name === 'custom') throw new Error(`"${name}" is a reserved theme name`);
+  const { base, ...colors } = theme;
+  WIDGET_THEMES[name] = { ...resolveTheme(base || 'light').colors, ...colors };
+}
 
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
+function getPreferredTheme() {
+  if (typeof window.matchMedia !== 'function') return 'light';
+  return Object.keys(PREFERRED_THEME_QUERIES).find(name => window.matchMedia(PREFERRED_THEME_QUERIES[name]).matches) || 'light';
+}
 
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
+// Calls `onChange` whenever one of the preferences `auto` follows changes.
+// Returns the function that stops watching.
+function watchPreferredTheme(onChange) {
+  if (typeof window.matchMedia !== 'function') return () => {};
+  const queries = Object.values(PREFERRED_THEME_QUERIES).map(query => window.matchMedia(query));
+  for (const query of queries) query.addEventListener('change', onChange);
+  return () => {
+    for (const query of queries) query.removeEventListener('change', onChange);
+  };
 }
 
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
+// Accepts a theme name, 'auto', or a custom object such as
+// { base: 'dark', accent: '#f97316' }. Returns the name used for the
+// card's theme-* class and the full set of colours.
+function resolveTheme(theme = 'light') {
+  if (theme && typeof theme === 'object') {
+    const { base, ...colors } = theme;
+    return { name: 'custom', colors: { ...resolveTheme(base || 'light').colors, ...colors } };
   }
+  const name = theme === 'auto' ? getPreferredTheme() : theme;
+  if (!Object.prototype.hasOwnProperty.call(WIDGET_THEMES, name)) throw new Error(`Unknown theme: ${theme}`);
+  return { name, colors: WIDGET_THEMES[name] };
+}
 
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
+function formatThemeName(name) {
+  const label = name.replace(/-/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
 
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
+function toThemeProperty(key) {
+  return `--weather-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
 }
 
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
+// Rain and snow show through the night; clear and cloudy skies after
+// dark are tinted as night instead.
+function getConditionTint(data, now = new Date()) {
+  const tint = CONDITION_TINTS[data.getConditionType()] || null;
+  if (tint !== 'rainy' && tint !== 'snowy' && data.isNight(now)) return 'night';
+  return tint;
+}
 
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
+// ==================== UI COMPONENTS ====================
+class CityAutocomplete {
+  constructor(input, list, options) {
+    this.input = input;
+    this.list = list;
+    this.search = options.search;
+    this.onSelect = options.onSelect;
+    this.onSubmit = options.onSubmit;
+    this.minLength = options.minLength || 2;
+    this.places = [];
+    this.activeIndex = -1;
+    this.pendingSearch = null;
+    this.requestSuggestions = debounce(() => this.suggest(this.input.value), options.delay || AUTOCOMPLETE_DELAY, options.clock);
+
+    this.list.id = this.list.id || `city-suggestions-${generateRandomId()}`;
+    this.list.setAttribute('role', 'listbox');
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-controls', this.list.id);
+    this.input.setAttribute('aria-expanded', 'false');
+    this.bindEvents();
   }
 
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
+  bindEvents() {
+    this.input.addEventListener('input', () => this.requestSuggestions());
+    this.input.addEventListener('keydown', event => this.handleKeydown(event));
+    this.input.addEventListener('blur', () => this.close());
+    // mousedown rather than click: it fires before the input's blur closes the list.
+    this.list.addEventListener('mousedown', event => {
+      const option = event.target.closest('[role="option"]');
+      if (!option) return;
+      event.preventDefault();
+      this.select(Number(option.dataset.index));
+    });
+  }
+
+  async suggest(query) {
+    this.cancel();
+    if (query.trim().length < this.minLength) {
+      this.close();
+      return;
+    }
+    const controller = new AbortController();
+    this.pendingSearch = controller;
+    try {
+      const places = await this.search(query, { signal: controller.signal });
+      if (!controller.signal.aborted) this.open(places);
+    } catch (error) {
+      if (error.name !== 'AbortError') this.close();
+    }
+  }
+
+  cancel() {
+    this.requestSuggestions.cancel();
+    if (this.pendingSearch) this.pendingSearch.abort();
+    this.pendingSearch = null;
+  }
+
+  open(places) {
+    this.places = places;
+    this.activeIndex = -1;
+    this.list.replaceChildren(...places.map((place, index) => {
+      const option = document.createElement('li');
+      option.id = `${this.list.id}-${index}`;
+      option.className = 'city-suggestion';
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.textContent = formatPlaceLabel(place);
+      return option;
+    }));
+    this.list.hidden = places.length === 0;
+    this.input.setAttribute('aria-expanded', String(places.length > 0));
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  close() {
+    this.list.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  isOpen() {
+    return !this.list.hidden && this.places.length > 0;
+  }
+
+  handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (!this.isOpen()) return;
+        event.preventDefault();
+        this.setActive(this.activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (this.isOpen() && this.activeIndex >= 0) {
+          this.select(this.activeIndex);
+        } else {
+          this.cancel();
+          this.close();
+          this.onSubmit(this.input.value.trim());
+        }
+        break;
+      case 'Escape':
+        this.close();
+        break;
+    }
+  }
+
+  setActive(index) {
+    const count = this.places.length;
+    this.activeIndex = (index + count) % count;
+    for (const option of this.list.children) {
+      const active = Number(option.dataset.index) === this.activeIndex;
+      option.classList.toggle('active', active);
+      option.setAttribute('aria-selected', String(active));
+      if (active) this.input.setAttribute('aria-activedescendant', option.id);
+    }
+  }
+
+  select(index) {
+    const place = this.places[index];
+    if (!place) return;
+    this.cancel();
+    this.input.value = formatPlaceLabel(place);
+    this.close();
+    this.onSelect(place);
   }
-
-  // ... 50+ more API methods with similar structure ...
 }
 
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
+// Emits search, loading, loaded, error, unitschange and themechange. Every
+// payload carries the widget, so one handler can serve several widgets.
+class WeatherWidget extends EventEmitter {
   constructor(containerId, options = {}) {
+    super();
     this.container = document.getElementById(containerId);
     if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
+    this.id = options.id || containerId;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    this.ownsApiClient = !options.apiClient;
+    this.apiClient = options.apiClient || new WeatherApiClient(options.apiKey, {
+      clock: this.clock,
+      cacheStorage: options.cacheStorage,
+      cacheOptions: options.cacheOptions,
+      staleWhileRevalidate: options.staleWhileRevalidate
+    });
     this.units = options.units || 'METRIC';
+    resolveUnits(this.units);
+    this.currentData = null;
+    this.hourlyForecast = null;
+    this.dailyForecast = null;
     this.theme = options.theme || 'light';
+    resolveTheme(this.theme);
+    this.resolvedTheme = null;
+    this.themeProperties = [];
+    this.stopWatchingTheme = null;
+    this.conditionTint = Boolean(options.conditionTint); // tint the card by the current weather
+    this.animateIcons = options.animateIcons !== false; // weather.css still honours prefers-reduced-motion
+    this.showForecast = options.showForecast !== false;
+    this.currentLocation = null;
+    this.lastCity = null; // last location that loaded successfully
+    this.restoring = false; // true while restoreState() applies saved preferences
+    this.refreshInterval = options.refreshInterval ?? AUTO_REFRESH_INTERVAL; // 0 turns auto-refresh off
+    this.requestTimeout = options.requestTimeout;
+    this.pendingRequest = null;
+    this.disposed = false;
     this.initUI();
+    this.subscribeToClient();
+  }
+
+  // DOM-style aliases so host pages can treat the widget like an element.
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.off(event, listener);
   }
 
   initUI() {
     this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
+      <div class="weather-widget">
         <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
+          <div class="city-search">
+            <input type="text" class="city-input" placeholder="Enter city..." autocomplete="off">
+            <ul class="city-suggestions" hidden></ul>
+          </div>
           <button class="search-btn">Search</button>
+          <select class="units-select" aria-label="Units">
+            ${Object.keys(UNITS).map(name => `<option value="${name}">${UNIT_SYSTEM_LABELS[name] || name}</option>`).join('')}
+            <option value="${CUSTOM_UNITS}">Custom</option>
+          </select>
+          <select class="theme-select" aria-label="Theme">
+            ${['auto', ...Object.keys(WIDGET_THEMES)].map(name => `<option value="${name}">${formatThemeName(name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="unit-options" hidden>
+          ${Object.entries(UNIT_QUANTITY_LABELS).map(([quantity, label]) => `
+            <label>${label}
+              <select class="unit-select" data-quantity="${quantity}">
+                ${Object.entries(UNIT_DEFINITIONS[quantity]).map(([unit, { symbol }]) => `<option value="${unit}">${symbol.trim()}</option>`).join('')}
+              </select>
+            </label>`).join('')}
         </div>
         <div class="weather-display">
+          <div class="status" hidden></div>
           <div class="current-weather">
             <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
+            <div class="current-summary">
+              <div class="current-icon"></div>
+              <div class="temperature">--</div>
+            </div>
             <div class="conditions">--</div>
             <div class="details">
+              <div class="feels-like">Feels like: --</div>
               <div class="wind">Wind: --</div>
               <div class="humidity">Humidity: --</div>
+              <div class="pressure">Pressure: --</div>
+              <div class="precipitation">Precipitation: --</div>
+              <div class="dew-point">Dew point: --</div>
+              <div class="apparent">Apparent: --</div>
+              <div class="heat-index" hidden></div>
+              <div class="wind-chill" hidden></div>
+              <div class="daylight">Daylight: --</div>
             </div>
+            <div class="missing-fields" hidden></div>
+            <div class="updated"></div>
+          </div>
+          <div class="forecast" ${this.showForecast ? '' : 'hidden'}>
+            <h3>Next 24 hours</h3>
+            <div class="forecast-strip forecast-hourly"></div>
+            <h3>Next 7 days</h3>
+            <div class="forecast-strip forecast-daily"></div>
           </div>
         </div>
       </div>
     `;
+    this.applyTheme();
     this.bindEvents();
   }
 
   bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
+    const input = this.container.querySelector('.city-input');
+    this.autocomplete = new CityAutocomplete(input, this.container.querySelector('.city-suggestions'), {
+      search: (query, options) => this.apiClient.searchCities(query, options),
+      onSelect: place => {
+        this.emit('search', { widget: this, query: formatPlaceLabel(place), place });
+        this.updateWeather(placeToLocation(place));
+      },
+      onSubmit: text => this.searchCity(text),
+      clock: this.clock
     });
+    this.container.querySelector('.search-btn').addEventListener('click', () => {
+      this.autocomplete.cancel();
+      this.searchCity(input.value.trim());
+    });
+    const unitsSelect = this.container.querySelector('.units-select');
+    // "Custom" starts from the units in use; the pickers then change one
+    // quantity at a time.
+    unitsSelect.addEventListener('change', () => {
+      this.setUnits(unitsSelect.value === CUSTOM_UNITS ? { ...resolveUnits(this.units) } : unitsSelect.value);
+    });
+    for (const select of this.container.querySelectorAll('.unit-select')) {
+      select.addEventListener('change', () => {
+        this.setUnits({ ...resolveUnits(this.units), [select.dataset.quantity]: select.value });
+      });
+    }
+    this.updateUnitControls();
+    const themeSelect = this.container.querySelector('.theme-select');
+    themeSelect.addEventListener('change', () => this.setTheme(themeSelect.value));
+  }
+
+  // Re-renders whatever is on screen in the new units; no request is made.
+  setUnits(units) {
+    resolveUnits(units);
+    const previousUnits = this.units;
+    this.units = units;
+    this.updateUnitControls();
+    if (this.currentData) this.displayWeather(this.currentData);
+    if (this.hourlyForecast) this.displayHourlyForecast(this.hourlyForecast);
+    if (this.dailyForecast) this.displayDailyForecast(this.dailyForecast);
+    if (units !== previousUnits) {
+      this.emit('unitschange', { widget: this, units, previousUnits, data: this.currentData });
+    }
+  }
+
+  // A preset shows in the units select; a units object shows as "Custom"
+  // with a picker per quantity.
+  updateUnitControls() {
+    const custom = typeof this.units !== 'string';
+    this.container.querySelector('.units-select').value = custom ? CUSTOM_UNITS : this.units;
+    const pickers = this.container.querySelector('.unit-options');
+    pickers.hidden = !custom;
+    const system = resolveUnits(this.units);
+    for (const select of pickers.querySelectorAll('.unit-select')) {
+      select.value = system[select.dataset.quantity];
+    }
+  }
+
+  // Accepts a theme name, 'auto' or a custom theme object (see resolveTheme).
+  setTheme(theme) {
+    if (theme === this.theme) return;
+    resolveTheme(theme);
+    this.theme = theme;
+    this.applyTheme();
+    this.emitThemeChange();
+  }
+
+  setConditionTint(enabled) {
+    if (Boolean(enabled) === this.conditionTint) return;
+    this.conditionTint = Boolean(enabled);
+    this.updateConditionTint();
+    this.emitThemeChange();
+  }
+
+  emitThemeChange() {
+    this.emit('themechange', {
+      widget: this,
+      theme: this.theme,
+      resolvedTheme: this.resolvedTheme,
+      conditionTint: this.conditionTint
+    });
+  }
+
+  // Sets the card's theme-* class and colour properties. While the theme
+  // follows the system preference, a change there re-applies it.
+  applyTheme() {
+    const card = this.container.querySelector('.weather-widget');
+    const { name, colors } = resolveTheme(this.theme);
+    card.classList.remove(...[...card.classList].filter(className => className.startsWith('theme-')));
+    card.classList.add(`theme-${name}`);
+    for (const property of this.themeProperties) card.style.removeProperty(property);
+    this.themeProperties = Object.keys(colors).map(toThemeProperty);
+    for (const [key, value] of Object.entries(colors)) card.style.setProperty(toThemeProperty(key), value);
+    this.resolvedTheme = name;
+    this.container.querySelector('.theme-select').value = typeof this.theme === 'string' ? this.theme : '';
+
+    const followsPreference = this.theme === 'auto' || this.theme.base === 'auto';
+    if (followsPreference && !this.stopWatchingTheme) {
+      this.stopWatchingTheme = watchPreferredTheme(() => {
+        const previous = this.resolvedTheme;
+        this.applyTheme();
+        if (this.resolvedTheme !== previous) this.emitThemeChange();
+      });
+    } else if (!followsPreference && this.stopWatchingTheme) {
+      this.stopWatchingTheme();
+      this.stopWatchingTheme = null;
+    }
+  }
+
+  updateConditionTint() {
+    const card = this.container.querySelector('.weather-widget');
+    const tint = this.conditionTint && this.currentData
+      ? getConditionTint(this.currentData, new Date(this.clock.now()))
+      : null;
+    if (tint) {
+      card.dataset.condition = tint;
+    } else {
+      delete card.dataset.condition;
+    }
+  }
+
+  getState() {
+    return {
+      city: this.lastCity,
+      units: this.units,
+      theme: this.theme,
+      conditionTint: this.conditionTint,
+      refreshInterval: this.refreshInterval
+    };
+  }
+
+  // Applies saved preferences; loading the saved city is left to the caller.
+  // The setters below emit change events, so `restoring` is set meanwhile
+  // and lastCity is restored first: listeners that persist the state must
+  // not save the half-applied one over what is being restored.
+  restoreState(state = {}) {
+    this.restoring = true;
+    try {
+      this.applyState(state);
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  applyState(state) {
+    if (state.city) this.lastCity = state.city;
+    if (Number.isFinite(state.refreshInterval)) this.refreshInterval = state.refreshInterval;
+    if (state.theme) {
+      try {
+        this.setTheme(state.theme);
+      } catch (error) {
+        console.warn('Ignoring saved theme:', error.message);
+      }
+    }
+    if (typeof state.conditionTint === 'boolean') this.setConditionTint(state.conditionTint);
+    if (state.units) {
+      try {
+        this.setUnits(state.units);
+      } catch (error) {
+        console.warn('Ignoring saved units:', error.message);
+      }
+    }
+  }
+
+  // Free text is geocoded before looking up the weather: one match is
+  // fetched by coordinates, several matches open the suggestion list so the
+  // user can pick the country or state, and no match falls back to a plain
+  // name lookup.
+  async searchCity(text) {
+    if (!text) return;
+    this.emit('search', { widget: this, query: text });
+    let places = [];
+    try {
+      places = await this.apiClient.searchCities(text);
+    } catch (error) {
+      // Geocoding is best effort; the name lookup below still runs.
+    }
+    if (this.disposed) return;
+    const name = normalizeSearchText(text.split(',')[0]);
+    const exact = places.filter(place => normalizeSearchText(place.name) === name);
+    const candidates = exact.length > 0 ? exact : places;
+
+    if (candidates.length === 1) {
+      return this.updateWeather(placeToLocation(candidates[0]));
+    }
+    if (candidates.length > 1) {
+      this.autocomplete.open(candidates);
+      this.container.querySelector('.city-input').focus();
+      this.setStatus(`Several places match "${text}". Pick one from the list.`, 'info');
+      return;
+    }
+    return this.updateWeather(text);
+  }
+
+  subscribeToClient() {
+    this.clientSubscriptions = [
+      this.apiClient.on('update', ({ key, data }) => this.handleRevalidated(key, data)),
+      this.apiClient.on('revalidateerror', ({ key, data }) => {
+        if (data) this.handleRevalidated(key, data);
+      })
+    ];
+  }
+
+  // The API client is usually shared, so a removed widget must detach from
+  // it; a client the widget created itself is disposed along with it.
+  dispose() {
+    this.disposed = true;
+    if (this.pendingRequest) this.pendingRequest.abort();
+    this.pendingRequest = null;
+    this.autocomplete.cancel();
+    for (const unsubscribe of this.clientSubscriptions) unsubscribe();
+    this.clientSubscriptions = [];
+    if (this.ownsApiClient) this.apiClient.dispose();
+    if (this.stopWatchingTheme) this.stopWatchingTheme();
+    this.stopWatchingTheme = null;
+    this.listeners.clear();
+    this.container.innerHTML = '';
   }
 
-  async updateWeather(city) {
-    try {
+  handleRevalidated(key, data) {
+    const location = this.currentLocation;
+    if (!location) return;
+    if (key === this.apiClient.getLocationCacheKey(location)) {
+      this.displayWeather(data);
+      this.emit('loaded', { widget: this, location, data, revalidated: true });
+    } else if (key === this.apiClient.getForecastCacheKey('hourly', location)) {
+      this.displayHourlyForecast(data);
+    } else if (key === this.apiClient.getForecastCacheKey('daily', location)) {
+      this.displayDailyForecast(data);
+    }
+  }
+
+  // A newer search aborts the one in progress, so a slow response for an
+  // old city can never overwrite the result the user is looking at.
+  // `location` is a city name or any location accepted by WeatherApiClient;
+  // `options.maxAge` skips cached current weather older than that many ms.
+  async updateWeather(location, options = {}) {
+    if (this.disposed) return;
+    if (this.pendingRequest) this.pendingRequest.abort();
+    const controller = new AbortController();
+    this.pendingRequest = controller;
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const requestOptions = { signal: controller.signal, timeout: this.requestTimeout };
+    try {
+      this.currentLocation = normalizeLocation(location);
       this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
+      this.emit('loading', { widget: this, location: this.currentLocation });
+      const forecast = this.showForecast ? this.updateForecast(this.currentLocation, requestOptions) : null;
+      const weatherData = await this.apiClient.getWeather(this.currentLocation, {
+        ...requestOptions,
+        maxAge: options.maxAge
+      });
+      if (controller.signal.aborted) return;
       this.displayWeather(weatherData);
+      this.lastCity = this.currentLocation;
+      this.emit('loaded', { widget: this, location: this.currentLocation, data: weatherData });
+      await forecast;
     } catch (error) {
-      this.showError(error.message);
+      if (controller.signal.aborted) {
+        if (this.pendingRequest === controller && !this.disposed) this.setStatus(null);
+        return;
+      }
+      this.showError(error);
+      this.emit('error', { widget: this, location: this.currentLocation, error });
+    } finally {
+      if (this.pendingRequest === controller) this.pendingRequest = null;
     }
   }
 
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
+  // Forecast failures are reported in the strip and never hide the current
+  // conditions.
+  async updateForecast(location, requestOptions) {
+    try {
+      const [hourly, daily] = await Promise.all([
+        this.apiClient.getHourlyForecast(location, '', requestOptions),
+        this.apiClient.getDailyForecast(location, '', requestOptions)
+      ]);
+      if (requestOptions.signal.aborted || this.disposed) return;
+      this.displayHourlyForecast(hourly);
+      this.displayDailyForecast(daily);
+    } catch (error) {
+      if (requestOptions.signal.aborted || this.disposed) return;
+      for (const strip of this.container.querySelectorAll('.forecast-strip')) {
+        strip.textContent = 'Forecast unavailable';
+      }
+    }
   }
 
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
+  displayHourlyForecast(forecast) {
+    this.hourlyForecast = forecast;
+    this.renderForecastStrip('.forecast-hourly', forecast, item => ({
+      label: item.time ? item.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--',
+      temperature: item.getTemperature(this.units),
+      conditions: item.conditions
+    }));
   }
 
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
+  displayDailyForecast(forecast) {
+    this.dailyForecast = forecast;
+    this.renderForecastStrip('.forecast-daily', forecast, item => ({
+      label: item.time ? item.time.toLocaleDateString([], { weekday: 'short' }) : '--',
+      temperature: item.getTemperatureRange(this.units),
+      conditions: item.conditions
+    }));
   }
 
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
+  renderForecastStrip(selector, forecast, describe) {
+    const items = forecast.map(entry => {
+      const { label, temperature, conditions } = describe(entry);
+      const item = document.createElement('div');
+      item.className = 'forecast-item';
+      for (const [className, text] of [['forecast-time', label], ['forecast-temp', temperature], ['forecast-conditions', conditions]]) {
+        const cell = document.createElement('div');
+        cell.className = className;
+        cell.textContent = text;
+        item.appendChild(cell);
+      }
+      item.firstChild.insertAdjacentHTML('afterend', renderWeatherIcon(entry, { size: 32, className: 'forecast-icon' }));
+      return item;
     });
+    this.container.querySelector(selector).replaceChildren(...items);
   }
 
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
+  displayWeather(data) {
+    this.currentData = data;
+    this.setStatus(null);
+    this.container.querySelector('.city-name').textContent = data.city
+      || (this.currentLocation ? describeLocation(this.currentLocation) : '--');
+    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
+    this.container.querySelector('.current-icon').innerHTML = renderWeatherIcon(data, {
+      animated: this.animateIcons,
+      now: new Date(this.clock.now())
+    });
+    this.container.querySelector('.conditions').textContent = data.conditions || '--';
+    this.container.querySelector('.feels-like').textContent = `Feels like: ${data.getFeelsLike(this.units)}`;
+    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)} ${data.getWindCardinal() || ''}`.trim();
+    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity === null ? '--' : `${data.humidity}%`}`;
+    this.container.querySelector('.pressure').textContent = `Pressure: ${data.getPressure(this.units)}`;
+    this.container.querySelector('.precipitation').textContent = `Precipitation: ${data.getPrecipitation(this.units)}`;
+    this.displayDerivedMetrics(data);
+    // Make it obvious when a reading is absent rather than zero.
+    const missing = (data.missingFields || []).filter(name => !['city', 'icon', 'sunrise', 'sunset'].includes(name));
+    const missingNote = this.container.querySelector('.missing-fields');
+    missingNote.hidden = missing.length === 0;
+    missingNote.textContent = missing.length > 0 ? `Not reported: ${missing.join(', ')}` : '';
+    const updated = this.container.querySelector('.updated');
+    const offline = data.offline || (data.refreshFailed && typeof navigator !== 'undefined' && navigator.onLine === false);
+    if (offline) {
+      updated.textContent = `Offline — last updated ${formatAge(data.staleAge)}`;
+    } else {
+      updated.textContent = data.stale
+        ? `Updated ${formatAge(data.staleAge)} ${data.refreshFailed ? '(refresh failed)' : '(refreshing...)'}`
+        : '';
+    }
+    updated.classList.toggle('stale', Boolean(data.stale));
+    this.updateConditionTint();
+  }
+
+  displayDerivedMetrics(data) {
+    const setDetail = (selector, label, value) => {
+      const element = this.container.querySelector(selector);
+      element.hidden = value === null;
+      element.textContent = value === null ? '' : `${label}: ${value}`;
+    };
+    setDetail('.dew-point', 'Dew point', data.getDewPoint(this.units) ?? '--');
+    setDetail('.apparent', 'Apparent', data.getApparentTemperature(this.units) ?? '--');
+    setDetail('.heat-index', 'Heat index', data.getHeatIndex(this.units));
+    setDetail('.wind-chill', 'Wind chill', data.getWindChill(this.units));
+
+    const dayLength = data.getDayLength();
+    setDetail('.daylight', 'Daylight', dayLength === null
+      ? '--'
+      : `${formatDuration(dayLength)} (${formatDuration(data.getDaylightRemaining(new Date(this.clock.now())))} left)`);
+  }
+
+  // The status line sits above the current conditions instead of replacing
+  // them, so displayWeather always finds its elements after a load or error.
+  setStatus(message, type = '') {
+    const status = this.container.querySelector('.status');
+    status.textContent = message || '';
+    status.className = `status ${type}`.trim();
+    status.hidden = !message;
   }
 
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
+  showLoading() {
+    this.setStatus('Loading...', 'loading');
   }
 
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
+  showError(error) {
+    this.setStatus(this.getErrorMessage(error), 'error');
   }
 
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
+  getErrorMessage(error) {
+    if (typeof error === 'string') return error;
+    if (error instanceof CityNotFoundError) {
+      return `Couldn't find "${describeLocation(this.currentLocation)}". Check the spelling or add a country code.`;
+    }
+    if (error instanceof AuthError) return 'The weather service rejected the API key.';
+    if (error instanceof RateLimitError) {
+      return error.retryAfter
+        ? `Too many requests. Try again in ${Math.ceil(error.retryAfter / 1000)}s.`
+        : 'Too many requests. Try again shortly.';
+    }
+    if (error instanceof TimeoutError) return 'The weather service is taking too long to respond.';
+    if (error instanceof NetworkError) {
+      return typeof navigator !== 'undefined' && navigator.onLine === false
+        ? 'You are offline.'
+        : "Couldn't reach the weather service.";
+    }
+    if (error instanceof ParseError) return 'The weather service sent an unreadable response.';
+    if (error instanceof HttpError && error.status >= 500) return 'The weather service is having problems.';
+    return error.message || 'Something went wrong.';
   }
 }
 
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
+// ==================== WIDGET STATE ====================
+// Widget preferences (last location, units, theme) are kept in
+// localStorage under the widget id so they survive a reload.
+class WidgetStateStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'weather_widget:';
+    this.layoutKey = options.layoutKey || 'weather_dashboard:layout';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
   }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
 
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
+  load(id) {
+    if (!this.storage) return null;
+    try {
+      return JSON.parse(this.storage.getItem(this.prefix + id));
+    } catch (error) {
+      console.warn('Ignoring unreadable widget state:', id);
+      return null;
     }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
   }
-  return result;
-}
 
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
+  save(id, state) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.prefix + id, JSON.stringify(state));
+    } catch (error) {
+      console.warn('Widget state write failed:', error.message);
+    }
   }
 
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
+  remove(id) {
+    if (this.storage) this.storage.removeItem(this.prefix + id);
   }
 
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
+  // The dashboard layout is the ordered list of widget ids.
+  loadLayout() {
+    if (!this.storage) return null;
+    try {
+      const layout = JSON.parse(this.storage.getItem(this.layoutKey));
+      return Array.isArray(layout) ? layout : null;
+    } catch (error) {
+      console.warn('Ignoring unreadable dashboard layout');
       return null;
     }
-    return entry.data;
   }
 
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
+  saveLayout(ids) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.layoutKey, JSON.stringify(ids));
+    } catch (error) {
+      console.warn('Dashboard layout write failed:', error.message);
     }
   }
 }
 
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
+// ==================== AUTO REFRESH ====================
+// Each widget gets its own timer at widget.refreshInterval. Timers are
+// offset by `stagger` so that a dashboard full of widgets spreads its
+// requests out instead of firing them at the same instant.
+class AutoRefreshScheduler {
+  constructor(refresh, options = {}) {
+    this.refresh = refresh;
+    this.stagger = options.stagger ?? AUTO_REFRESH_STAGGER;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    this.widgets = [];
+    this.timers = new Map();
+    this.paused = false;
   }
-}
 
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+  add(widget) {
+    if (this.widgets.includes(widget)) return;
+    this.widgets.push(widget);
+    if (!this.paused) this.schedule(widget, widget.refreshInterval + this.offsetFor(widget));
   }
 
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
+  remove(widget) {
+    this.cancel(widget);
+    this.widgets = this.widgets.filter(item => item !== widget);
   }
 
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
+  // Restarts the widget's timer, e.g. after its interval changed.
+  reschedule(widget) {
+    this.cancel(widget);
+    if (!this.paused) this.schedule(widget, widget.refreshInterval + this.offsetFor(widget));
   }
 
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
+  offsetFor(widget) {
+    return this.widgets.indexOf(widget) * this.stagger;
   }
 
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
+  schedule(widget, delay) {
+    this.cancel(widget);
+    if (!widget.refreshInterval) return;
+    this.timers.set(widget, this.clock.setTimeout(() => this.run(widget), delay));
   }
 
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
+  cancel(widget) {
+    this.clock.clearTimeout(this.timers.get(widget));
+    this.timers.delete(widget);
   }
 
-  async updateWeather(city) {
+  async run(widget) {
+    this.timers.delete(widget);
     try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
+      await this.refresh(widget);
     } catch (error) {
-      this.showError(error.message);
+      console.warn('Auto-refresh failed:', error.message);
+    }
+    if (!this.paused && this.widgets.includes(widget) && !this.timers.has(widget)) {
+      this.schedule(widget, widget.refreshInterval);
     }
   }
 
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
+  pause() {
+    this.paused = true;
+    for (const widget of this.widgets) this.cancel(widget);
   }
 
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
+  dispose() {
+    this.pause();
+    this.widgets = [];
   }
 
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
+  // With `refreshNow` every widget refreshes right away, still staggered.
+  resume(options = {}) {
+    if (!this.paused) return;
+    this.paused = false;
+    for (const widget of this.widgets) {
+      const offset = this.offsetFor(widget);
+      this.schedule(widget, options.refreshNow ? offset : widget.refreshInterval + offset);
+    }
   }
 }
 
 // ==================== MAIN APPLICATION ====================
+// `options.apiClientOptions` is passed to the shared WeatherApiClient,
+// e.g. { fetch: createMockFetch() } for demos.
 class WeatherApplication {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.clock = options.clock || SYSTEM_CLOCK;
     this.widgets = [];
+    this.apiClient = null;
+    this.stateStore = new WidgetStateStore();
+    this.scheduler = new AutoRefreshScheduler(widget => this.refreshWidget(widget), { clock: this.clock });
+    this.cacheState = new Map(); // API URL -> cachedAt, for responses sw.js served offline
+    this.domListeners = [];
+    this.cleanupTimer = null;
     this.init();
   }
 
   init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
+    this.listen(document, 'DOMContentLoaded', () => {
+      this.setupDashboard();
       this.setupEventListeners();
       this.startBackgroundTasks();
     });
   }
 
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
+  // Page-level listeners go through here so dispose() can remove them.
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.domListeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  dispose() {
+    for (const remove of this.domListeners) remove();
+    this.domListeners = [];
+    this.clock.clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    this.scheduler.dispose();
+    for (const widget of this.widgets) widget.dispose();
+    this.widgets = [];
+    if (this.apiClient) this.apiClient.dispose();
+    this.apiClient = null;
+  }
+
+  // One client is shared by every widget so that refreshes coalesce and
+  // respect a single concurrency limit.
+  getApiClient() {
+    if (!this.apiClient) {
+      this.apiClient = new WeatherApiClient(localStorage.getItem('weather_api_key') || 'DEMO_KEY', {
+        cacheStorage: 'localStorage',
+        cacheOptions: { maxEntries: 50, maxBytes: 512 * 1024 },
+        staleWhileRevalidate: true,
+        maxConcurrent: MAX_CONCURRENT_REQUESTS,
+        clock: this.clock,
+        ...this.options.apiClientOptions
+      });
+    }
+    return this.apiClient;
+  }
+
+  // Rebuilds the saved layout, or starts with the page's own container.
+  // An id repeated in the layout is only opened once.
+  setupDashboard() {
+    const layout = this.stateStore.loadLayout();
+    const ids = new Set(layout && layout.length > 0 ? layout : ['weather-container']);
+    for (const id of ids) {
+      this.restoreWidget(this.createWidget(id));
+    }
+    this.saveLayout();
+    this.renderComparison();
+  }
+
+  // Adds a widget in a generated container. Without a location it opens
+  // empty with the search box focused.
+  addWidget(location = null, options = {}) {
+    const widget = this.createWidget(options.id || `weather-widget-${generateRandomId()}`, options);
+    this.saveLayout();
+    if (location) {
+      widget.updateWeather(location);
+    } else {
+      widget.container.querySelector('.city-input').focus();
+    }
+    return widget;
+  }
+
+  removeWidget(id) {
+    const index = this.widgets.findIndex(widget => widget.id === id);
+    if (index === -1) return false;
+    const [widget] = this.widgets.splice(index, 1);
+    this.scheduler.remove(widget);
+    widget.dispose();
+    this.getWidgetFrame(widget).remove();
+    this.stateStore.remove(id);
+    this.saveLayout();
+    this.renderComparison();
+    return true;
+  }
+
+  moveWidget(id, toIndex) {
+    const fromIndex = this.widgets.findIndex(widget => widget.id === id);
+    if (fromIndex === -1) return false;
+    const [widget] = this.widgets.splice(fromIndex, 1);
+    this.widgets.splice(Math.max(0, Math.min(toIndex, this.widgets.length)), 0, widget);
+    const dashboard = this.getDashboard();
+    for (const { container } of this.widgets) {
+      dashboard.appendChild(container.parentElement);
+    }
+    this.saveLayout();
+    this.renderComparison();
+    return true;
+  }
+
+  getDashboard() {
+    return document.getElementById('weather-dashboard') || document.querySelector('main') || document.body;
+  }
+
+  getWidgetFrame(widget) {
+    return widget.container.closest('.dashboard-item') || widget.container;
+  }
+
+  // Two widgets on one container would overwrite each other's DOM, so an
+  // id that is already taken is rejected.
+  createWidget(id, options = {}) {
+    if (this.widgets.some(widget => widget.id === id)) {
+      throw new Error(`A widget with id "${id}" already exists`);
+    }
+    this.createWidgetFrame(id);
+    const widget = new WeatherWidget(id, {
+      apiClient: this.getApiClient(),
+      units: options.units || 'METRIC',
+      theme: options.theme || 'auto',
+      conditionTint: options.conditionTint ?? true,
+      refreshInterval: options.refreshInterval,
+      clock: this.clock
+    });
+    this.widgets.push(widget);
+    this.trackWidgetState(widget);
+    this.scheduler.add(widget);
+    widget.on('loaded', () => this.renderComparison());
+    widget.on('unitschange', () => this.renderComparison());
+    return widget;
+  }
+
+  // Containers already in the page are wrapped where they stand; missing
+  // ones are generated at the end of the dashboard.
+  createWidgetFrame(id) {
+    let container = document.getElementById(id);
+    if (container && container.closest('.dashboard-item')) return container;
+    if (!container) {
+      container = document.createElement('div');
+      container.id = id;
+      this.getDashboard().appendChild(container);
+    }
+    const frame = document.createElement('section');
+    frame.className = 'dashboard-item';
+    frame.innerHTML = `
+      <div class="dashboard-item-controls">
+        <button type="button" data-action="up" aria-label="Move up">↑</button>
+        <button type="button" data-action="down" aria-label="Move down">↓</button>
+        <button type="button" data-action="remove" aria-label="Remove">×</button>
+      </div>
+    `;
+    frame.querySelector('.dashboard-item-controls').addEventListener('click', event => {
+      const action = event.target.dataset.action;
+      const index = this.widgets.findIndex(widget => widget.id === id);
+      if (action === 'up') this.moveWidget(id, index - 1);
+      if (action === 'down') this.moveWidget(id, index + 1);
+      if (action === 'remove') this.removeWidget(id);
+    });
+    container.before(frame);
+    frame.appendChild(container);
+    return container;
+  }
+
+  setRefreshInterval(id, interval) {
+    const widget = this.widgets.find(item => item.id === id);
+    if (!widget) return false;
+    widget.refreshInterval = interval;
+    this.scheduler.reschedule(widget);
+    this.stateStore.save(widget.id, widget.getState());
+    return true;
+  }
+
+  // Widgets that never loaded have nothing to refresh, and one that is
+  // busy (usually a search the user just started) is left alone. The cache
+  // would serve the same reading until its TTL ran out, so only a copy
+  // fetched within the stagger (another widget on the same city) is reused.
+  refreshWidget(widget) {
+    if (!widget.lastCity || widget.pendingRequest) return null;
+    return widget.updateWeather(widget.lastCity, { maxAge: AUTO_REFRESH_STAGGER });
+  }
+
+  saveLayout() {
+    this.stateStore.saveLayout(this.widgets.map(widget => widget.id));
+  }
+
+  trackWidgetState(widget) {
+    const save = () => {
+      if (!widget.restoring) this.stateStore.save(widget.id, widget.getState());
+    };
+    for (const event of ['loaded', 'unitschange', 'themechange']) {
+      widget.on(event, save);
+    }
+  }
+
+  // One row per loaded widget, in dashboard order. Values use the first
+  // widget's units so the columns can be compared directly.
+  renderComparison() {
+    const target = document.getElementById('weather-comparison');
+    if (!target) return;
+    const units = this.widgets.length > 0 ? this.widgets[0].units : 'METRIC';
+    const rows = this.widgets.filter(widget => widget.currentData).map(({ currentData: data, currentLocation }) => [
+      data.city || describeLocation(currentLocation),
+      data.getTemperature(units),
+      data.getFeelsLike(units),
+      data.conditions || '--',
+      `${data.getWindSpeed(units)} ${data.getWindCardinal() || ''}`.trim(),
+      data.humidity === null ? '--' : `${data.humidity}%`,
+      data.getPressure(units)
+    ]);
+    if (rows.length === 0) {
+      target.textContent = 'Add a city to compare.';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'comparison-table';
+    const addRow = (section, cells, tag) => {
+      const row = section.insertRow();
+      for (const text of cells) {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+    };
+    addRow(table.createTHead(), ['City', 'Temperature', 'Feels like', 'Conditions', 'Wind', 'Humidity', 'Pressure'], 'th');
+    const body = table.createTBody();
+    for (const cells of rows) addRow(body, cells, 'td');
+    target.replaceChildren(table);
+  }
+
+  // Reopens the widget where it was left; first-time widgets use geolocation.
+  restoreWidget(widget) {
+    const state = this.stateStore.load(widget.id);
+    if (state) widget.restoreState(state);
+    this.scheduler.reschedule(widget);
+    if (widget.lastCity) {
+      widget.updateWeather(widget.lastCity);
+    } else {
+      this.locateWidget(widget);
+    }
+  }
+
+  // Opens the widget on the user's current position, falling back to
+  // DEFAULT_CITY when geolocation is unavailable or denied.
+  locateWidget(widget) {
+    if (!('geolocation' in navigator)) {
+      widget.updateWeather(DEFAULT_CITY);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(position => {
+      widget.updateWeather({ lat: position.coords.latitude, lon: position.coords.longitude });
+    }, error => {
+      console.warn('Geolocation error:', error.message);
+      widget.updateWeather(DEFAULT_CITY);
+    }, { timeout: 10 * 1000, maximumAge: CACHE_TTL });
   }
 
   setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
+    this.listen(document.getElementById('refresh-all'), 'click', () => {
       this.refreshAllWidgets();
     });
 
-    window.addEventListener('online', () => {
+    const addButton = document.getElementById('add-widget');
+    if (addButton) this.listen(addButton, 'click', () => this.addWidget());
+
+    const compareButton = document.getElementById('toggle-comparison');
+    const comparison = document.getElementById('weather-comparison');
+    if (compareButton && comparison) {
+      this.listen(compareButton, 'click', () => {
+        comparison.hidden = !comparison.hidden;
+        compareButton.setAttribute('aria-expanded', String(!comparison.hidden));
+      });
+    }
+
+    this.listen(window, 'online', () => {
       this.handleConnectionRestored();
     });
+    this.listen(window, 'offline', () => this.updateAutoRefresh());
+    this.listen(document, 'visibilitychange', () => this.updateAutoRefresh());
+
+    if ('serviceWorker' in navigator) {
+      this.listen(navigator.serviceWorker, 'message', event => this.handleServiceWorkerMessage(event.data));
+    }
+  }
+
+  // sw.js reports whether each API response came from the network or its
+  // cache; the header indicator shows when we are running on saved data.
+  // Any network response means we are back online.
+  handleServiceWorkerMessage(message) {
+    if (!message || message.type !== 'weather-cache-state') return;
+    if (message.source === 'cache') {
+      this.cacheState.set(message.url, message.cachedAt);
+    } else {
+      this.cacheState.clear();
+    }
+    const indicator = document.getElementById('connection-status');
+    if (!indicator) return;
+    const { offline, lastUpdated } = this.getCacheState();
+    indicator.hidden = !offline;
+    indicator.textContent = offline ? `Offline — last updated ${formatAge(this.clock.now() - lastUpdated)}` : '';
+  }
+
+  // lastUpdated is the oldest copy served from the service worker cache.
+  getCacheState() {
+    const cachedAt = [...this.cacheState.values()];
+    return {
+      offline: cachedAt.length > 0,
+      lastUpdated: cachedAt.length > 0 ? Math.min(...cachedAt) : null
+    };
+  }
+
+  // Auto-refresh only runs while the page is visible and online. Coming
+  // back from either refreshes every widget straight away.
+  updateAutoRefresh() {
+    const active = !document.hidden && navigator.onLine !== false;
+    if (!active) {
+      this.scheduler.pause();
+    } else if (this.scheduler.paused) {
+      this.scheduler.resume({ refreshNow: true });
+    }
   }
 
   async refreshAllWidgets() {
     const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
+      widget.updateWeather(widget.lastCity || DEFAULT_CITY)
     );
     await Promise.all(promises);
   }
 
   handleConnectionRestored() {
     console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
+    this.updateAutoRefresh();
   }
 
   startBackgroundTasks() {
-    setInterval(() => {
+    this.updateAutoRefresh();
+    this.clock.clearInterval(this.cleanupTimer);
+    this.cleanupTimer = this.clock.setInterval(() => {
       this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
+    }, WIDGET_CLEANUP_INTERVAL);
   }
 
+  // Widgets whose container the page removed get the same teardown as
+  // removeWidget(), so their timers and client subscriptions go too.
   cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
+    const inactive = this.widgets.filter(widget => !document.body.contains(widget.container));
+    for (const widget of inactive) this.removeWidget(widget.id);
   }
 }
 
 // ==================== SERVICE WORKER ====================
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
+    // Relative, so the worker's scope is the directory the page is served from.
+    navigator.serviceWorker.register('sw.js').then(registration => {
       console.log('ServiceWorker registration successful');
     }).catch(err => {
       console.log('ServiceWorker registration failed: ', err);
@@ -618,13366 +1351,40 @@ window.addEventListener('error', (event) => {
   }
 });
 
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
+window.addEventListener('unhandledrejection', (event) => {
+  console.error('Unhandled rejection:', event.reason);
 });
 
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
 // ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
+// Development switches in the page URL:
+// `?api=http://localhost:8787` talks to mock-server.mjs instead of the live API;
+// `?mock=storm` (any MOCK_SCENARIOS name) runs on the in-page seeded mock
+// provider, and `&seed=` picks a different fixture set.
+function getDevOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const apiClientOptions = {};
+  if (params.has('api')) apiClientOptions.baseUrl = params.get('api');
+  if (params.has('mock')) {
+    // The mock is dev-only, so it is only downloaded when asked for.
+    const mockFetch = import('./weather-mock.mjs').then(({ createMockFetch }) => createMockFetch({
+      scenario: params.get('mock') || 'normal',
+      seed: Number(params.get('seed')) || undefined
+    }));
+    apiClientOptions.fetch = (url, init) => mockFetch.then(fetchMock => fetchMock(url, init));
+  }
+  return { apiClientOptions };
+}
+
+const app = new WeatherApplication(getDevOptions());
+
+export {
+  WIDGET_THEMES,
+  registerWidgetTheme,
+  resolveTheme,
+  CityAutocomplete,
+  WeatherWidget,
+  WidgetStateStore,
+  AutoRefreshScheduler,
+  WeatherApplication,
+  app
 };
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF/*
- * Weather Application Core Module (v3.2.1)
- * Generated: ${new Date().toISOString()}
- * Lines: 1000
- */
-
-// ==================== CONSTANTS ====================
-const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
-const MAX_RETRIES = 3;
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-const UNITS = {
-  METRIC: { temp: '°C', speed: 'm/s' },
-  IMPERIAL: { temp: '°F', speed: 'mph' }
-};
-
-// ==================== UTILITIES ====================
-function generateRandomId(length = 8) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-function throttle(fn, delay) {
-  let lastCall = 0;
-  return function(...args) {
-    const now = new Date().getTime();
-    if (now - lastCall < delay) return;
-    lastCall = now;
-    return fn(...args);
-  };
-}
-
-// ==================== CACHE SYSTEM ====================
-class WeatherCache {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), CACHE_TTL);
-  }
-
-  set(key, data) {
-    this.store.set(key, {
-      timestamp: Date.now(),
-      data
-    });
-  }
-
-  get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > CACHE_TTL) {
-      this.store.delete(key);
-      return null;
-    }
-    return entry.data;
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.store.entries()) {
-      if (now - entry.timestamp > CACHE_TTL) {
-        this.store.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== WEATHER MODELS ====================
-class WeatherData {
-  constructor(rawData) {
-    this.city = rawData.city || 'Unknown';
-    this.temperature = rawData.main?.temp || 0;
-    this.feelsLike = rawData.main?.feels_like || 0;
-    this.humidity = rawData.main?.humidity || 0;
-    this.windSpeed = rawData.wind?.speed || 0;
-    this.windDirection = rawData.wind?.deg || 0;
-    this.conditions = rawData.weather?.[0]?.description || 'clear';
-    this.icon = rawData.weather?.[0]?.icon || '01d';
-    this.sunrise = rawData.sys?.sunrise ? new Date(rawData.sys.sunrise * 1000) : null;
-    this.sunset = rawData.sys?.sunset ? new Date(rawData.sys.sunset * 1000) : null;
-    this.updatedAt = new Date();
-  }
-
-  getTemperature(unit = 'METRIC') {
-    return `${Math.round(this.temperature)}${UNITS[unit].temp}`;
-  }
-
-  getWindSpeed(unit = 'METRIC') {
-    return `${Math.round(this.windSpeed)} ${UNITS[unit].speed}`;
-  }
-}
-
-// ==================== API CLIENT ====================
-class WeatherApiClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || 'DEMO_KEY';
-    this.cache = new WeatherCache();
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-  }
-
-  async fetchWithRetry(url, retries = MAX_RETRIES) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
-    } catch (error) {
-      if (retries > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (MAX_RETRIES - retries + 1)));
-        return this.fetchWithRetry(url, retries - 1);
-      }
-      throw error;
-    }
-  }
-
-  async getWeatherByCity(city, countryCode = '') {
-    const cacheKey = `city_${city}_${countryCode}`.toLowerCase();
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
-    const url = `${WEATHER_API_BASE}/weather?q=${encodeURIComponent(city)}${countryCode ? `,${countryCode}` : ''}&appid=${this.apiKey}`;
-    const data = await this.fetchWithRetry(url);
-    const weatherData = new WeatherData(data);
-    this.cache.set(cacheKey, weatherData);
-    return weatherData;
-  }
-
-  // ... 50+ more API methods with similar structure ...
-}
-
-// ==================== UI COMPONENTS ====================
-class WeatherWidget {
-  constructor(containerId, options = {}) {
-    this.container = document.getElementById(containerId);
-    if (!this.container) throw new Error('Container not found');
-    this.apiClient = new WeatherApiClient(options.apiKey);
-    this.units = options.units || 'METRIC';
-    this.theme = options.theme || 'light';
-    this.initUI();
-  }
-
-  initUI() {
-    this.container.innerHTML = `
-      <div class="weather-widget ${this.theme}">
-        <div class="search-container">
-          <input type="text" class="city-input" placeholder="Enter city...">
-          <button class="search-btn">Search</button>
-        </div>
-        <div class="weather-display">
-          <div class="current-weather">
-            <h2 class="city-name">--</h2>
-            <div class="temperature">--</div>
-            <div class="conditions">--</div>
-            <div class="details">
-              <div class="wind">Wind: --</div>
-              <div class="humidity">Humidity: --</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    this.bindEvents();
-  }
-
-  bindEvents() {
-    this.container.querySelector('.search-btn').addEventListener('click', () => {
-      const city = this.container.querySelector('.city-input').value.trim();
-      if (city) this.updateWeather(city);
-    });
-  }
-
-  async updateWeather(city) {
-    try {
-      this.showLoading();
-      const weatherData = await this.apiClient.getWeatherByCity(city);
-      this.displayWeather(weatherData);
-    } catch (error) {
-      this.showError(error.message);
-    }
-  }
-
-  displayWeather(data) {
-    this.container.querySelector('.city-name').textContent = data.city;
-    this.container.querySelector('.temperature').textContent = data.getTemperature(this.units);
-    this.container.querySelector('.conditions').textContent = data.conditions;
-    this.container.querySelector('.wind').textContent = `Wind: ${data.getWindSpeed(this.units)}`;
-    this.container.querySelector('.humidity').textContent = `Humidity: ${data.humidity}%`;
-  }
-
-  showLoading() {
-    this.container.querySelector('.weather-display').innerHTML = '<div class="loading">Loading...</div>';
-  }
-
-  showError(message) {
-    this.container.querySelector('.weather-display').innerHTML = `<div class="error">${message}</div>`;
-  }
-}
-
-// ==================== MAIN APPLICATION ====================
-class WeatherApplication {
-  constructor() {
-    this.widgets = [];
-    this.init();
-  }
-
-  init() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.setupDefaultWidget();
-      this.setupEventListeners();
-      this.startBackgroundTasks();
-    });
-  }
-
-  setupDefaultWidget() {
-    const mainWidget = new WeatherWidget('weather-container', {
-      apiKey: localStorage.getItem('weather_api_key') || 'DEMO_KEY',
-      units: 'METRIC',
-      theme: 'dark'
-    });
-    this.widgets.push(mainWidget);
-  }
-
-  setupEventListeners() {
-    document.getElementById('refresh-all').addEventListener('click', () => {
-      this.refreshAllWidgets();
-    });
-
-    window.addEventListener('online', () => {
-      this.handleConnectionRestored();
-    });
-  }
-
-  async refreshAllWidgets() {
-    const promises = this.widgets.map(widget => 
-      widget.updateWeather(widget.lastCity || 'London')
-    );
-    await Promise.all(promises);
-  }
-
-  handleConnectionRestored() {
-    console.log('Connection restored, refreshing weather data...');
-    this.refreshAllWidgets();
-  }
-
-  startBackgroundTasks() {
-    setInterval(() => {
-      this.cleanupInactiveWidgets();
-    }, 60 * 60 * 1000);
-  }
-
-  cleanupInactiveWidgets() {
-    this.widgets = this.widgets.filter(widget => 
-      document.body.contains(widget.container)
-    );
-  }
-}
-
-// ==================== SERVICE WORKER ====================
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(registration => {
-      console.log('ServiceWorker registration successful');
-    }).catch(err => {
-      console.log('ServiceWorker registration failed: ', err);
-    });
-  });
-}
-
-// ==================== ERROR HANDLING ====================
-window.addEventListener('error', (event) => {
-  console.error('Unhandled error:', event.error);
-  if (window.trackJs) {
-    window.trackJs.track(event.error);
-  }
-});
-
-process.on('unhandledRejection', (reason) => {
-  console.error('Unhandled rejection:', reason);
-});
-
-// ==================== EXPORTS ====================
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    WeatherApiClient,
-    WeatherWidget,
-    WeatherApplication
-  };
-}
-
-// ==================== MOCK DATA GENERATION ====================
-function generateMockWeatherData(city) {
-  return {
-    city: city,
-    main: {
-      temp: Math.round(Math.random() * 30 - 5),
-      feels_like: Math.round(Math.random() * 30 - 5),
-      humidity: Math.round(Math.random() * 100)
-    },
-    wind: {
-      speed: Math.round(Math.random() * 20),
-      deg: Math.round(Math.random() * 360)
-    },
-    weather: [
-      {
-        description: ['sunny', 'cloudy', 'rainy', 'snowy'][Math.floor(Math.random() * 4)],
-        icon: `01${Math.random() > 0.5 ? 'd' : 'n'}`
-      }
-    ],
-    sys: {
-      sunrise: Math.floor(Date.now() / 1000) - 3600 * 5,
-      sunset: Math.floor(Date.now() / 1000) + 3600 * 7
-    }
-  };
-}
-
-// ... 800+ more lines of utility functions, mock APIs, 
-// test cases, configuration helpers, etc. ...
-
-// ==================== INITIALIZATION ====================
-const app = new WeatherApplication();
-
-// Feature detection
-if ('geolocation' in navigator) {
-  navigator.geolocation.getCurrentPosition(position => {
-    console.log('Geolocation available:', position.coords);
-  }, error => {
-    console.warn('Geolocation error:', error.message);
-  });
-}
-
-// Final line count validation
-console.assert(
-  (() => {
-    const lines = require('fs').readFileSync(__filename, 'utf-8').split('\n');
-    return lines.length >= 1000;
-  })(),
-  'Line count validation failed'
-);
-
-// EOF
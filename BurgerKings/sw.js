@@ -0,0 +1,98 @@
+// Service worker for the weather widget, registered by script.js.
+// The page shell is precached so the widget opens offline. API calls go
+// network-first and fall back to the last stored response, stamped with
+// the time it was fetched so the page can say how old it is.
+const SHELL_CACHE = 'weather-shell-v5';
+const API_CACHE = 'weather-api-v1';
+// Only real files: there is no index.html, and many static hosts answer a
+// directory URL with 404, which would make addAll() fail the install.
+const SHELL_FILES = ['./weather.html', './weather.css', './script.js', './weather-core.mjs', './weather-icons.mjs'];
+const API_PATH = /\/(weather|forecast\/(hourly|daily)|geo\/direct)$/;
+// Must match SW_CACHED_AT_HEADER in weather-core.mjs.
+const CACHED_AT_HEADER = 'X-Weather-Cached-At';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  const url = new URL(event.request.url);
+  if (API_PATH.test(url.pathname)) {
+    event.respondWith(networkFirst(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(shellFirst(event.request));
+  }
+});
+
+// The API key is left out of the cache key so rotating it keeps offline data.
+function getApiCacheKey(requestUrl) {
+  const url = new URL(requestUrl);
+  url.searchParams.delete('appid');
+  return url.toString();
+}
+
+async function networkFirst(event) {
+  const cache = await caches.open(API_CACHE);
+  const key = getApiCacheKey(event.request.url);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      await cache.put(key, await stampResponse(response.clone()));
+      report(event, { url: key, source: 'network', cachedAt: Date.now() });
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (!cached) throw error;
+    report(event, { url: key, source: 'cache', cachedAt: Number(cached.headers.get(CACHED_AT_HEADER)) });
+    return cached;
+  }
+}
+
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  // The API is cross-origin, so the page can only read the stamp if exposed.
+  headers.set('Access-Control-Expose-Headers', CACHED_AT_HEADER);
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Serves the shell from the cache and refreshes it in the background.
+async function shellFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    });
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
+
+async function report(event, state) {
+  const client = event.clientId ? await self.clients.get(event.clientId) : null;
+  if (client) client.postMessage({ type: 'weather-cache-state', ...state });
+}
@@ -0,0 +1,73 @@
+// A manual clock with the SYSTEM_CLOCK interface. Timers only fire from
+// tick() or settle(), in the order they fall due, so tests control time.
+export function createFakeClock(start = Date.UTC(2026, 0, 15, 12)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (callback, ms, repeat) => {
+    const id = nextId++;
+    timers.set(id, { callback, at: now + Math.max(0, ms || 0), repeat });
+    clock.delays.push(ms);
+    return id;
+  };
+
+  const nextTimer = (limit = Infinity) => {
+    let next = null;
+    for (const [id, timer] of timers) {
+      if (timer.at <= limit && (!next || timer.at < next.timer.at)) next = { id, timer };
+    }
+    return next;
+  };
+
+  const fire = ({ id, timer }) => {
+    now = Math.max(now, timer.at);
+    if (timer.repeat) {
+      timer.at += timer.repeat;
+    } else {
+      timers.delete(id);
+    }
+    timer.callback();
+  };
+
+  // Lets pending promise callbacks run before the next timer fires.
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const clock = {
+    delays: [], // every delay passed to setTimeout/setInterval, in order
+    now: () => now,
+    setTimeout: (callback, ms) => schedule(callback, ms, 0),
+    clearTimeout: id => timers.delete(id),
+    setInterval: (callback, ms) => schedule(callback, ms, ms),
+    clearInterval: id => timers.delete(id),
+
+    get pendingTimers() {
+      return timers.size;
+    },
+
+    tick(ms) {
+      const target = now + ms;
+      for (let next = nextTimer(target); next; next = nextTimer(target)) fire(next);
+      now = target;
+    },
+
+    // Runs timers one at a time until `promise` settles, and resolves to
+    // its outcome. Intervals alone never settle anything, so they are not
+    // run; a promise left waiting only on them is an error.
+    async settle(promise) {
+      let settled = false;
+      promise.then(() => { settled = true; }, () => { settled = true; });
+      for (;;) {
+        await flush();
+        if (settled) return promise;
+        let next = null;
+        for (const [id, timer] of timers) {
+          if (!timer.repeat && (!next || timer.at < next.timer.at)) next = { id, timer };
+        }
+        if (!next) throw new Error('The promise is waiting on something other than the clock');
+        fire(next);
+      }
+    }
+  };
+  return clock;
+}
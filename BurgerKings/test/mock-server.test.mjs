@@ -0,0 +1,28 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../mock-server.mjs';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createMockServer({ scenario: 'normal' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('serves seeded weather under any path prefix', async () => {
+  const response = await fetch(`${baseUrl}/v3/weather?q=Lima`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  assert.equal((await response.json()).name, 'Lima');
+});
+
+test('an injected 429 exposes Retry-After to cross-origin pages', async () => {
+  const response = await fetch(`${baseUrl}/weather?q=Lima&mock_status=429`);
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('retry-after'), '1');
+  assert.equal(response.headers.get('access-control-expose-headers'), 'Retry-After');
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WeatherApiClient,
+  WeatherData,
+  HttpError,
+  CityNotFoundError,
+  TimeoutError,
+  getBackoffDelay
+} from '../weather-core.mjs';
+import { createMockFetch } from '../weather-mock.mjs';
+import { createFakeClock } from './fake-clock.mjs';
+
+// Records when each request was made on the fake clock.
+function recordCalls(clock, fetchImpl) {
+  const calls = [];
+  const recorded = (url, init) => {
+    calls.push(clock.now());
+    return fetchImpl(url, init, calls.length);
+  };
+  return { calls, fetch: recorded };
+}
+
+function createClient(clock, fetchImpl, options = {}) {
+  return new WeatherApiClient('test-key', { clock, fetch: fetchImpl, ...options });
+}
+
+const gaps = times => times.slice(1).map((time, index) => time - times[index]);
+
+test('the mock provider gives the same weather for the same seed and city', async () => {
+  const clock = createFakeClock();
+  const first = createClient(clock, createMockFetch({ seed: 7, now: clock.now() }));
+  const second = createClient(clock, createMockFetch({ seed: 7, now: clock.now() }));
+
+  const [a, b] = await Promise.all([first.getWeather('Lima'), second.getWeather('Lima')]);
+  assert.ok(a instanceof WeatherData);
+  assert.equal(a.city, 'Lima');
+  assert.deepEqual(a.toJSON(), b.toJSON());
+  first.dispose();
+  second.dispose();
+});
+
+test('failed requests back off exponentially before retrying', async () => {
+  const clock = createFakeClock();
+  const down = createMockFetch({ scenario: 'apiDown' });
+  const up = createMockFetch({ now: clock.now() });
+  const { calls, fetch } = recordCalls(clock, (url, init, count) => (count <= 2 ? down : up)(url, init));
+  const client = createClient(clock, fetch, { retryPolicy: { baseDelay: 500, random: () => 1 } });
+
+  const data = await clock.settle(client.getWeather('Lima'));
+  assert.equal(data.city, 'Lima');
+  assert.deepEqual(gaps(calls), [500, 1000]);
+  client.dispose();
+});
+
+test('backoff delays are jittered and capped', () => {
+  assert.equal(getBackoffDelay(0, 500, 30000, () => 0.5), 250);
+  assert.equal(getBackoffDelay(2, 500, 30000, () => 0.5), 1000);
+  assert.equal(getBackoffDelay(10, 500, 30000, () => 1), 30000);
+  assert.equal(getBackoffDelay(3, 500, 30000, () => 0), 0);
+});
+
+test('retries give up with the last error once they run out', async () => {
+  const clock = createFakeClock();
+  const { calls, fetch } = recordCalls(clock, createMockFetch({ scenario: 'apiDown' }));
+  const client = createClient(clock, fetch, { retryPolicy: { retries: 2, baseDelay: 100, random: () => 1 } });
+
+  await assert.rejects(clock.settle(client.getWeather('Lima')), error => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 503);
+    assert.equal(error.retries, 2);
+    return true;
+  });
+  assert.deepEqual(gaps(calls), [100, 200]);
+  client.dispose();
+});
+
+test('terminal errors are not retried', async () => {
+  const clock = createFakeClock();
+  const { calls, fetch } = recordCalls(clock, createMockFetch({ scenario: 'cityNotFound' }));
+  const client = createClient(clock, fetch);
+
+  await assert.rejects(clock.settle(client.getWeather('Atlantis')), CityNotFoundError);
+  assert.equal(calls.length, 1);
+  client.dispose();
+});
+
+test('a 429 waits for Retry-After instead of the backoff', async () => {
+  const clock = createFakeClock();
+  const up = createMockFetch({ now: clock.now() });
+  const { calls, fetch } = recordCalls(clock, (url, init, count) => (count === 1
+    ? { ok: false, status: 429, headers: { get: name => (name === 'Retry-After' ? '2' : null) } }
+    : up(url, init)));
+  const client = createClient(clock, fetch, { retryPolicy: { baseDelay: 100, random: () => 1 } });
+
+  await clock.settle(client.getWeather('Lima'));
+  assert.deepEqual(gaps(calls), [2000]);
+  client.dispose();
+});
+
+test('a slow response times out on the injected clock', async () => {
+  const clock = createFakeClock();
+  const client = createClient(clock, createMockFetch({ scenario: 'slowNetwork', clock }), {
+    timeout: 1000,
+    retryPolicy: { retries: 0 }
+  });
+
+  const started = clock.now();
+  await assert.rejects(clock.settle(client.getWeather('Lima')), TimeoutError);
+  assert.equal(clock.now() - started, 1000);
+  client.dispose();
+});
+
+test('cached weather is served until it expires', async () => {
+  const clock = createFakeClock();
+  const { calls, fetch } = recordCalls(clock, createMockFetch({ now: clock.now() }));
+  const client = createClient(clock, fetch, { cacheOptions: { ttl: 60 * 1000 } });
+
+  await client.getWeather('Lima');
+  clock.tick(60 * 1000);
+  await client.getWeather('Lima');
+  assert.equal(calls.length, 1);
+  clock.tick(1);
+  await client.getWeather('Lima');
+  assert.equal(calls.length, 2);
+  client.dispose();
+});
+
+test('maxAge fetches again when the cached copy is older, even before it expires', async () => {
+  const clock = createFakeClock();
+  const { calls, fetch } = recordCalls(clock, createMockFetch({ now: clock.now() }));
+  const client = createClient(clock, fetch, { staleWhileRevalidate: true });
+
+  const first = await client.getWeather('Lima');
+  clock.tick(60 * 1000);
+  assert.equal(await client.getWeather('Lima', { maxAge: 60 * 1000 }), first);
+  clock.tick(1);
+  const second = await client.getWeather('Lima', { maxAge: 60 * 1000 });
+  assert.equal(calls.length, 2);
+  assert.notEqual(second, first);
+  assert.equal(second.stale, undefined);
+  assert.equal(await client.getWeather('Lima'), second);
+  client.dispose();
+});
+
+test('dispose() stops every timer the client started', async () => {
+  const clock = createFakeClock();
+  const client = createClient(clock, createMockFetch({ now: clock.now() }));
+  await client.getWeather('Lima');
+  assert.ok(clock.pendingTimers > 0);
+
+  client.dispose();
+  assert.equal(clock.pendingTimers, 0);
+});
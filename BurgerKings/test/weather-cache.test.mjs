@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeatherCache, WeatherData, MemoryStorage, LocalStorageStorage, CACHE_TTL } from '../weather-core.mjs';
+import { generateMockWeatherData } from '../weather-mock.mjs';
+import { createFakeClock } from './fake-clock.mjs';
+
+test('entries expire after the TTL', () => {
+  const clock = createFakeClock();
+  const cache = new WeatherCache({ clock, ttl: 1000 });
+  cache.set('weather_lima', { temp: 20 });
+
+  clock.tick(1000);
+  assert.deepEqual(cache.get('weather_lima'), { temp: 20 });
+  clock.tick(1);
+  assert.equal(cache.get('weather_lima'), null);
+  assert.equal(cache.getStats().expirations, 1);
+  cache.dispose();
+});
+
+test('per-key TTL overrides and explicit TTLs outlive the default', () => {
+  const clock = createFakeClock();
+  const cache = new WeatherCache({ clock, ttl: 1000, ttlOverrides: { forecast_: 5000 } });
+  cache.set('weather_lima', 1);
+  cache.set('forecast_hourly_lima', 2);
+  cache.set('geo_lima', 3, { ttl: 3000 });
+
+  clock.tick(2000);
+  assert.equal(cache.get('weather_lima'), null);
+  assert.equal(cache.get('forecast_hourly_lima'), 2);
+  assert.equal(cache.get('geo_lima'), 3);
+  clock.tick(2000);
+  assert.equal(cache.get('geo_lima'), null);
+  assert.equal(cache.get('forecast_hourly_lima'), 2);
+  cache.dispose();
+});
+
+test('backdated entries expire sooner', () => {
+  const clock = createFakeClock();
+  const cache = new WeatherCache({ clock, ttl: 1000 });
+  cache.set('weather_lima', 1, { timestamp: clock.now() - 900 });
+  clock.tick(101);
+  assert.equal(cache.get('weather_lima'), null);
+  cache.dispose();
+});
+
+test('expired entries stay available to getStale() until maxStale runs out', () => {
+  const clock = createFakeClock();
+  const cache = new WeatherCache({ clock, ttl: 1000, maxStale: 500 });
+  cache.set('weather_lima', 1);
+
+  clock.tick(1200);
+  assert.equal(cache.get('weather_lima'), null);
+  assert.deepEqual(cache.getStale('weather_lima'), { data: 1, age: 1200, expired: true });
+  clock.tick(301);
+  assert.equal(cache.getStale('weather_lima'), null);
+  cache.dispose();
+});
+
+test('the cleanup sweep runs on the injected clock and stops on dispose()', () => {
+  const clock = createFakeClock();
+  const storage = new MemoryStorage();
+  const cache = new WeatherCache({ clock, ttl: 1000, storage });
+  cache.set('weather_lima', 1);
+  assert.equal(clock.pendingTimers, 1);
+
+  clock.tick(2000);
+  assert.equal(cache.getStats().entries, 0);
+  assert.deepEqual(storage.load(), []);
+
+  cache.dispose();
+  assert.equal(clock.pendingTimers, 0);
+});
+
+test('the least recently used entry is evicted first', () => {
+  const clock = createFakeClock();
+  const cache = new WeatherCache({ clock, maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.getStats().evictions, 1);
+  cache.dispose();
+});
+
+test('entries revive from storage as WeatherData with their age intact', () => {
+  const clock = createFakeClock();
+  const storage = new MemoryStorage();
+  const first = new WeatherCache({ clock, storage });
+  const data = new WeatherData(generateMockWeatherData('Lima', { now: clock.now() }), { now: clock.now() });
+  first.set('weather_lima', data);
+  first.dispose();
+
+  clock.tick(CACHE_TTL / 2);
+  const second = new WeatherCache({ clock, storage });
+  const revived = second.get('weather_lima');
+  assert.ok(revived instanceof WeatherData);
+  assert.equal(revived.getTemperature(), data.getTemperature());
+  assert.equal(revived.updatedAt.getTime(), data.updatedAt.getTime());
+  clock.tick(CACHE_TTL / 2 + 1);
+  assert.equal(second.get('weather_lima'), null);
+  second.dispose();
+});
+
+// A Web Storage stand-in whose key(i) order follows insertion, as in browsers.
+function createWebStorage(items) {
+  const map = new Map(Object.entries(items));
+  return {
+    get length() {
+      return map.size;
+    },
+    key: index => [...map.keys()][index] ?? null,
+    getItem: key => map.get(key) ?? null,
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: key => map.delete(key)
+  };
+}
+
+test('an unreadable localStorage entry is dropped without skipping the next one', t => {
+  t.mock.method(console, 'warn', () => {});
+  const entry = JSON.stringify({ data: 2, timestamp: 0 });
+  const storage = createWebStorage({ 'weather_cache:a': '{not json', 'weather_cache:b': entry, other: 'kept' });
+  const adapter = new LocalStorageStorage({ storage });
+
+  assert.deepEqual(adapter.load(), [['b', { data: 2, timestamp: 0 }]]);
+  assert.deepEqual([...Array(storage.length).keys()].map(storage.key), ['weather_cache:b', 'other']);
+});
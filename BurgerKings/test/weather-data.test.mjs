@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeatherData, ForecastData, DailyForecastData, ParseError } from '../weather-core.mjs';
+import { generateMockWeatherData, generateMockPayload } from '../weather-mock.mjs';
+
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+test('OpenWeather payloads are parsed and converted on display', () => {
+  const data = new WeatherData({
+    name: 'Lima',
+    dt: NOW / 1000,
+    main: { temp: 20, feels_like: 21, humidity: 60, pressure: 1013 },
+    wind: { speed: 10, deg: 90 },
+    weather: [{ description: 'light rain', icon: '10d' }],
+    rain: { '1h': 1.5 },
+    sys: { sunrise: NOW / 1000 - 6 * 3600, sunset: NOW / 1000 + 6 * 3600 }
+  }, { now: NOW });
+
+  assert.equal(data.provider, 'openweather');
+  assert.equal(data.city, 'Lima');
+  assert.equal(data.getTemperature('METRIC'), '20°C');
+  assert.equal(data.getTemperature('IMPERIAL'), '68°F');
+  assert.equal(data.getWindCardinal(), 'E');
+  assert.equal(data.precipitation, 1.5);
+  assert.equal(data.getConditionType(), 'rain');
+  assert.equal(data.getDayLength(), 12 * 3600 * 1000);
+  assert.equal(data.updatedAt.getTime(), NOW);
+  assert.deepEqual(data.missingFields, []);
+});
+
+test('missing fields are reported instead of invented', () => {
+  const data = new WeatherData({ main: { temp: 12 }, weather: [] }, { city: 'Oslo' });
+  assert.equal(data.temperature, 12);
+  assert.equal(data.humidity, null);
+  assert.equal(data.precipitation, null);
+  assert.ok(data.missingFields.includes('humidity'));
+  assert.ok(data.missingFields.includes('precipitation'));
+  assert.ok(data.missingFields.includes('conditions'));
+});
+
+test('no rain in a current observation means none fell', () => {
+  const data = new WeatherData({ dt: NOW / 1000, main: { temp: 12 } });
+  assert.equal(data.precipitation, 0);
+});
+
+test('out-of-range values are invalid, and strict mode rejects incomplete payloads', () => {
+  const data = new WeatherData({ main: { temp: 12, humidity: 140 } });
+  assert.ok(data.invalidFields.includes('humidity'));
+  assert.throws(() => new WeatherData({ main: {} }, { strict: true }), ParseError);
+  assert.throws(() => new WeatherData('not a payload'), ParseError);
+});
+
+test('goweather and Open-Meteo payloads are normalized to metric', () => {
+  const goweather = new WeatherData({ temperature: '+68 °F', wind: '36 km/h', description: 'Sunny' }, { city: 'Austin' });
+  assert.equal(goweather.provider, 'goweather');
+  assert.equal(goweather.temperature, 20);
+  assert.equal(goweather.windSpeed, 10);
+  assert.equal(goweather.conditions, 'sunny');
+
+  const openmeteo = new WeatherData({
+    current: { temperature_2m: 5, wind_speed_10m: 18, weather_code: 71, is_day: 0 },
+    current_units: { temperature_2m: '°C', wind_speed_10m: 'km/h' }
+  }, { city: 'Oslo' });
+  assert.equal(openmeteo.provider, 'openmeteo');
+  assert.equal(openmeteo.windSpeed, 5);
+  assert.equal(openmeteo.icon, '13n');
+  assert.equal(openmeteo.isNight(), true);
+  assert.equal(openmeteo.getConditionType(), 'snow');
+});
+
+test('toJSON() and fromJSON() round-trip with dates and methods intact', () => {
+  const data = new WeatherData(generateMockWeatherData('Lima', { seed: 3, now: NOW }), { now: NOW });
+  const revived = WeatherData.fromJSON(JSON.stringify(data));
+
+  assert.ok(revived instanceof WeatherData);
+  assert.deepEqual(revived, data);
+  assert.equal(revived.sunrise.getTime(), data.sunrise.getTime());
+  assert.equal(revived.getFeelsLike('IMPERIAL'), data.getFeelsLike('IMPERIAL'));
+  assert.throws(() => WeatherData.fromJSON({ ...data.toJSON(), version: 99 }), ParseError);
+  assert.throws(() => ForecastData.fromJSON(data.toJSON()), ParseError);
+});
+
+test('forecast payloads parse into one model per entry', () => {
+  const params = new URLSearchParams({ q: 'Lima', cnt: '7' });
+  const { body } = generateMockPayload('/forecast/daily', params, { now: NOW });
+  const days = body.list.map(entry => new DailyForecastData(entry, 'Lima'));
+
+  assert.equal(days.length, 7);
+  assert.ok(days.every(day => day.time instanceof Date && day.tempMax >= day.tempMin));
+  assert.match(days[0].getTemperatureRange(), /^-?\d+°C \/ -?\d+°C$/);
+});
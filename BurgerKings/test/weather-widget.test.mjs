@@ -0,0 +1,283 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { createMockFetch } from '../weather-mock.mjs';
+import { createFakeClock } from './fake-clock.mjs';
+
+const PAGE = `<!DOCTYPE html>
+<body>
+  <header>
+    <span id="connection-status" hidden></span>
+    <button id="add-widget"></button>
+    <button id="refresh-all"></button>
+  </header>
+  <main>
+    <div id="weather-comparison" hidden></div>
+    <div id="weather-dashboard"><div id="weather-container"></div></div>
+  </main>
+</body>`;
+const DOM_GLOBALS = ['window', 'document', 'navigator', 'localStorage', 'HTMLElement', 'Node', 'Event'];
+
+let dom;
+let browser;
+
+// script.js is the browser entry, so it is loaded into a jsdom page with
+// the DOM globals it expects. The app it starts on load is disposed; each
+// test builds its own widgets on a fake clock and the mock provider.
+before(async () => {
+  dom = new JSDOM(PAGE, { url: 'http://localhost/weather.html', pretendToBeVisual: true });
+  for (const name of DOM_GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+  Object.defineProperty(dom.window.document, 'hidden', { value: false, configurable: true });
+  browser = await import('../script.js');
+  browser.app.dispose();
+});
+
+after(() => {
+  dom.window.close();
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  document.getElementById('weather-dashboard').innerHTML = '<div id="weather-container"></div>';
+});
+
+function createWidget(clock, mockOptions = {}, options = {}) {
+  const calls = [];
+  const mockFetch = createMockFetch({ now: clock.now(), clock, ...mockOptions });
+  const widget = new browser.WeatherWidget('weather-container', {
+    clock,
+    apiClient: new browser.WeatherApiClient('test-key', {
+      clock,
+      fetch: (url, init) => {
+        calls.push(url);
+        return mockFetch(url, init);
+      },
+      retryPolicy: { retries: 0 }
+    }),
+    ...options
+  });
+  return { widget, calls, text: selector => widget.container.querySelector(selector).textContent };
+}
+
+test('renders current conditions, an icon and both forecast strips', async () => {
+  const clock = createFakeClock();
+  const { widget, text } = createWidget(clock);
+  const loaded = [];
+  widget.on('loaded', event => loaded.push(event));
+
+  await widget.updateWeather('Lima');
+
+  const data = widget.currentData;
+  assert.equal(text('.city-name'), 'Lima');
+  assert.equal(text('.temperature'), data.getTemperature('METRIC'));
+  assert.equal(text('.conditions'), data.conditions);
+  assert.match(text('.humidity'), /^Humidity: \d+%$/);
+  assert.ok(widget.container.querySelector('.current-icon svg.weather-icon'));
+  assert.equal(widget.container.querySelectorAll('.forecast-hourly .forecast-item').length, 24);
+  assert.equal(widget.container.querySelectorAll('.forecast-daily .forecast-item').length, 7);
+  assert.equal(widget.container.querySelector('.status').hidden, true);
+  assert.equal(loaded.length, 1);
+  assert.equal(loaded[0].data, data);
+  assert.deepEqual(widget.lastCity, { city: 'Lima', countryCode: '' });
+  widget.dispose();
+});
+
+test('switching units re-renders without another request', async () => {
+  const clock = createFakeClock();
+  const { widget, calls, text } = createWidget(clock);
+  await widget.updateWeather('Lima');
+  const requests = calls.length;
+
+  widget.setUnits('IMPERIAL');
+  assert.match(text('.temperature'), /°F$/);
+  assert.equal(text('.temperature'), widget.currentData.getTemperature('IMPERIAL'));
+  assert.equal(calls.length, requests);
+  widget.dispose();
+});
+
+test('a units object shows as Custom with a picker per quantity', async () => {
+  const clock = createFakeClock();
+  const { widget, text } = createWidget(clock);
+  await widget.updateWeather('Lima');
+  const select = widget.container.querySelector('.units-select');
+  const pickers = widget.container.querySelector('.unit-options');
+  const speed = pickers.querySelector('[data-quantity="speed"]');
+  assert.equal(pickers.hidden, true);
+
+  widget.setUnits({ speed: 'kmh', pressure: 'mmhg' });
+  assert.equal(select.value, 'CUSTOM');
+  assert.equal(pickers.hidden, false);
+  assert.equal(speed.value, 'kmh');
+  assert.match(text('.wind'), / km\/h/);
+
+  speed.value = 'beaufort';
+  speed.dispatchEvent(new Event('change'));
+  assert.deepEqual(widget.units, { temperature: 'celsius', speed: 'beaufort', pressure: 'mmhg', precipitation: 'mm' });
+  assert.match(text('.wind'), / Bft/);
+
+  select.value = 'IMPERIAL';
+  select.dispatchEvent(new Event('change'));
+  assert.equal(widget.units, 'IMPERIAL');
+  assert.equal(pickers.hidden, true);
+  widget.dispose();
+});
+
+test('an unknown city shows a specific error message', async () => {
+  const clock = createFakeClock();
+  const { widget, text } = createWidget(clock, { scenario: 'cityNotFound' });
+  const errors = [];
+  widget.on('error', event => errors.push(event.error));
+
+  await widget.updateWeather('Atlantis');
+
+  assert.equal(text('.status'), 'Couldn\'t find "Atlantis". Check the spelling or add a country code.');
+  assert.equal(widget.container.querySelector('.status').className, 'status error');
+  assert.equal(errors[0].name, 'CityNotFoundError');
+  widget.dispose();
+});
+
+test('a search on the mock provider shows the place it found', async () => {
+  const clock = createFakeClock();
+  const { widget, text } = createWidget(clock);
+
+  await widget.searchCity('Lima');
+  assert.equal(text('.city-name'), 'Lima');
+  assert.equal(widget.currentData.temperature, (await widget.apiClient.getWeather('Lima')).temperature);
+
+  await widget.searchCity('Hyderabad');
+  const options = [...widget.container.querySelectorAll('.city-suggestion')];
+  assert.deepEqual(options.map(option => option.textContent), ['Hyderabad, Telangana, IN', 'Hyderabad, Sindh, PK']);
+  const loaded = new Promise(resolve => widget.on('loaded', resolve));
+  options[1].dispatchEvent(new Event('mousedown', { bubbles: true, cancelable: true }));
+  await loaded;
+  assert.equal(text('.city-name'), 'Hyderabad');
+  assert.equal(widget.lastCity.countryCode, 'PK');
+  widget.dispose();
+});
+
+test('a newer search wins over a slower older one', async () => {
+  const clock = createFakeClock();
+  const { widget, text } = createWidget(clock, { cities: { berlin: 'slowNetwork' } });
+
+  const slow = widget.updateWeather('Berlin');
+  const fast = widget.updateWeather('Paris');
+  await clock.settle(Promise.all([slow, fast]));
+
+  assert.equal(text('.city-name'), 'Paris');
+  assert.deepEqual(widget.lastCity, { city: 'Paris', countryCode: '' });
+  widget.dispose();
+});
+
+test('themes and the condition tint are applied to the card', async () => {
+  const clock = createFakeClock();
+  const { widget } = createWidget(clock, { scenario: 'storm' }, { theme: 'dark', conditionTint: true });
+  const card = widget.container.querySelector('.weather-widget');
+  assert.ok(card.classList.contains('theme-dark'));
+  assert.equal(card.style.getPropertyValue('--weather-background'), browser.WIDGET_THEMES.dark.background);
+
+  await widget.updateWeather('Lima');
+  assert.equal(card.dataset.condition, 'rainy');
+
+  widget.setTheme({ base: 'light', accent: '#f97316' });
+  assert.ok(card.classList.contains('theme-custom'));
+  assert.equal(card.style.getPropertyValue('--weather-accent'), '#f97316');
+  widget.dispose();
+});
+
+test('the application restores saved widgets without losing their city', async () => {
+  const clock = createFakeClock();
+  localStorage.setItem('weather_widget:weather-container', JSON.stringify({
+    city: { city: 'Tokyo', countryCode: '' },
+    units: 'IMPERIAL',
+    theme: 'dark'
+  }));
+  const app = new browser.WeatherApplication({
+    clock,
+    apiClientOptions: { fetch: createMockFetch({ scenario: 'apiDown' }), retryPolicy: { retries: 0 } }
+  });
+  const widget = app.createWidget('weather-container');
+
+  app.restoreWidget(widget);
+  await clock.settle(new Promise(resolve => widget.on('error', resolve)));
+
+  const saved = JSON.parse(localStorage.getItem('weather_widget:weather-container'));
+  assert.deepEqual(saved.city, { city: 'Tokyo', countryCode: '' });
+  assert.equal(saved.units, 'IMPERIAL');
+  app.dispose();
+});
+
+test('removing a widget mid-load and disposing the app leave nothing running', async () => {
+  const clock = createFakeClock();
+  const app = new browser.WeatherApplication({
+    clock,
+    apiClientOptions: { fetch: createMockFetch({ scenario: 'slowNetwork', clock }) }
+  });
+  app.startBackgroundTasks();
+  const removed = app.addWidget('Berlin');
+  const kept = app.addWidget('Paris');
+  const pending = [removed.pendingRequest, kept.pendingRequest];
+
+  assert.equal(app.removeWidget(removed.id), true);
+  assert.equal(removed.pendingRequest, null);
+  assert.ok(pending[0].signal.aborted);
+  assert.equal(document.getElementById(removed.id), null);
+
+  app.dispose();
+  assert.ok(pending[1].signal.aborted);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(clock.pendingTimers, 0);
+  assert.equal(app.widgets.length, 0);
+});
+
+test('a widget id can only be used once', async () => {
+  const clock = createFakeClock();
+  localStorage.setItem('weather_dashboard:layout', JSON.stringify(['weather-container', 'weather-container']));
+  const app = new browser.WeatherApplication({
+    clock,
+    apiClientOptions: { fetch: createMockFetch({ now: clock.now() }) }
+  });
+
+  app.setupDashboard();
+  assert.deepEqual(app.widgets.map(widget => widget.id), ['weather-container']);
+  assert.throws(() => app.addWidget('Lima', { id: 'weather-container' }), /already exists/);
+  assert.equal(app.widgets.length, 1);
+  assert.equal(document.querySelectorAll('.weather-widget').length, 1);
+  app.dispose();
+});
+
+test('scheduled refreshes fetch again before the cached weather expires', async () => {
+  const clock = createFakeClock();
+  const mockFetch = createMockFetch({ now: clock.now() });
+  const requests = { Lima: [], Quito: [] };
+  const app = new browser.WeatherApplication({
+    clock,
+    apiClientOptions: {
+      fetch: (url, init) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/weather')) requests[searchParams.get('q')].push(clock.now());
+        return mockFetch(url, init);
+      }
+    }
+  });
+  const nextLoad = widget => new Promise(resolve => {
+    const listener = event => {
+      widget.off('loaded', listener);
+      resolve(event);
+    };
+    widget.on('loaded', listener);
+  });
+  const start = clock.now();
+  app.startBackgroundTasks();
+  const standard = app.addWidget('Lima');
+  const everyMinute = app.addWidget('Quito', { refreshInterval: 60 * 1000 });
+  await Promise.all([nextLoad(standard), nextLoad(everyMinute)]);
+
+  // Quito is second in line, so its refreshes are staggered by 5 s.
+  await clock.settle(nextLoad(everyMinute));
+  assert.deepEqual(requests.Quito, [0, 65 * 1000].map(delay => start + delay));
+  await clock.settle(nextLoad(standard));
+  assert.deepEqual(requests.Lima, [0, browser.CACHE_TTL].map(delay => start + delay));
+  app.dispose();
+});
@@ -0,0 +1,12 @@
+// CommonJS entry for the environment-neutral core. It loads the ES module
+// through require(), which needs Node.js 20.19+ or 22.12+ (see "engines" in
+// package.json). Older versions fail here with an error saying so.
+const [major, minor] = process.versions.node.split('.').map(Number);
+if (!(major > 22 || (major === 22 && minor >= 12) || (major === 20 && minor >= 19))) {
+  throw new Error(
+    'weather-core.cjs needs Node.js 20.19+ or 22.12+ to require() ES modules (this is ' + process.version + '). ' +
+    "On older versions use import('./weather-core.mjs') instead."
+  );
+}
+
+module.exports = require('./weather-core.mjs');
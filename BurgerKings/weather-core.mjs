@@ -0,0 +1,1721 @@
+/*
+ * Weather Application Core Module (v3.2.1)
+ * Environment-neutral: no DOM, no Node built-ins at load time. Use it
+ * through an entry point: script.js in the browser, weather-node.mjs (or
+ * weather-node.cjs for require) in Node.
+ */
+
+// ==================== CONSTANTS ====================
+const WEATHER_API_BASE = 'https://api.weatherapp.com/v3';
+const MAX_RETRIES = 3;
+const MAX_CONCURRENT_REQUESTS = 4;
+const REQUEST_TIMEOUT = 10 * 1000;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30 * 1000;
+const RATE_LIMIT = { capacity: 10, refillPerSecond: 1 };
+const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
+const FORECAST_CACHE_TTL = 60 * 60 * 1000; // forecasts change far less often
+const HOURLY_FORECAST_HOURS = 24;
+const DAILY_FORECAST_DAYS = 7;
+const GEOCODE_CACHE_TTL = 24 * 60 * 60 * 1000;
+const GEOCODE_RESULT_LIMIT = 5;
+const STALE_TTL = 24 * 60 * 60 * 1000; // how long expired entries may still be served
+const SW_CACHED_AT_HEADER = 'X-Weather-Cached-At'; // set by sw.js on responses served from its cache
+const WEATHER_DATA_VERSION = 1; // bump when the serialized WeatherData shape changes
+// Unit systems pick one unit per quantity from UNIT_DEFINITIONS. A plain
+// object such as { temperature: 'celsius', speed: 'mph' } also works.
+const UNITS = {
+  METRIC: { temperature: 'celsius', speed: 'ms', pressure: 'hpa', precipitation: 'mm' },
+  IMPERIAL: { temperature: 'fahrenheit', speed: 'mph', pressure: 'inhg', precipitation: 'in' },
+  SCIENTIFIC: { temperature: 'kelvin', speed: 'ms', pressure: 'hpa', precipitation: 'mm' },
+  UK: { temperature: 'celsius', speed: 'mph', pressure: 'hpa', precipitation: 'mm' },
+  NAUTICAL: { temperature: 'celsius', speed: 'knots', pressure: 'hpa', precipitation: 'mm' }
+};
+const UNIT_SYSTEM_LABELS = {
+  METRIC: 'Metric',
+  IMPERIAL: 'Imperial',
+  SCIENTIFIC: 'Kelvin',
+  UK: '°C + mph',
+  NAUTICAL: '°C + knots'
+};
+
+// ==================== UTILITIES ====================
+function generateRandomId(length = 8) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+function createAbortError(signal) {
+  if (signal && signal.reason instanceof Error && signal.reason.name === 'AbortError') return signal.reason;
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw createAbortError(signal);
+}
+
+// Every timer and timestamp in the module goes through a clock, so tests can
+// swap in a fake one and advance time by hand. Anything with these five
+// methods will do.
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+function sleep(ms, signal, clock = SYSTEM_CLOCK) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = clock.setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+function throttle(fn, delay) {
+  let lastCall = 0;
+  return function(...args) {
+    const now = new Date().getTime();
+    if (now - lastCall < delay) return;
+    lastCall = now;
+    return fn(...args);
+  };
+}
+
+function debounce(fn, delay, clock = SYSTEM_CLOCK) {
+  let timer = null;
+  const debounced = function(...args) {
+    clock.clearTimeout(timer);
+    timer = clock.setTimeout(() => fn(...args), delay);
+  };
+  debounced.cancel = () => clock.clearTimeout(timer);
+  return debounced;
+}
+
+class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) listeners.delete(listener);
+  }
+
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+    for (const listener of [...listeners]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    }
+  }
+}
+
+// ==================== UNIT CONVERSION ====================
+// WeatherData always holds metric values (°C, m/s, hPa, mm); conversion only
+// happens when formatting, so switching units never needs a refetch.
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+const UNIT_DEFINITIONS = {
+  temperature: {
+    celsius: { symbol: '°C', decimals: 0, fromBase: value => value },
+    fahrenheit: { symbol: '°F', decimals: 0, fromBase: value => value * 9 / 5 + 32 },
+    kelvin: { symbol: ' K', decimals: 0, fromBase: value => value + 273.15 }
+  },
+  speed: {
+    ms: { symbol: ' m/s', decimals: 0, fromBase: value => value },
+    kmh: { symbol: ' km/h', decimals: 0, fromBase: value => value * 3.6 },
+    mph: { symbol: ' mph', decimals: 0, fromBase: value => value * 2.236936 },
+    knots: { symbol: ' kn', decimals: 0, fromBase: value => value * 1.943844 },
+    beaufort: {
+      symbol: ' Bft',
+      decimals: 0,
+      fromBase: value => {
+        const force = BEAUFORT_LIMITS.findIndex(limit => value < limit);
+        return force === -1 ? 12 : force;
+      }
+    }
+  },
+  pressure: {
+    hpa: { symbol: ' hPa', decimals: 0, fromBase: value => value },
+    inhg: { symbol: ' inHg', decimals: 2, fromBase: value => value * 0.02953 },
+    mmhg: { symbol: ' mmHg', decimals: 0, fromBase: value => value * 0.750062 }
+  },
+  precipitation: {
+    mm: { symbol: ' mm', decimals: 1, fromBase: value => value },
+    in: { symbol: ' in', decimals: 2, fromBase: value => value / 25.4 }
+  }
+};
+
+function resolveUnits(units = 'METRIC') {
+  const system = typeof units === 'string' ? UNITS[units] : { ...UNITS.METRIC, ...units };
+  if (!system) throw new Error(`Unknown unit system: ${units}`);
+  for (const [quantity, unit] of Object.entries(system)) {
+    if (!UNIT_DEFINITIONS[quantity]?.[unit]) throw new Error(`Unknown ${quantity} unit: ${unit}`);
+  }
+  return system;
+}
+
+function getUnitDefinition(quantity, units) {
+  return UNIT_DEFINITIONS[quantity][resolveUnits(units)[quantity]];
+}
+
+function convertUnit(quantity, value, units = 'METRIC') {
+  return getUnitDefinition(quantity, units).fromBase(value);
+}
+
+function formatMeasurement(quantity, value, units = 'METRIC') {
+  if (!Number.isFinite(value)) return '--';
+  const definition = getUnitDefinition(quantity, units);
+  const converted = definition.fromBase(value);
+  // Avoid printing "-0" for values that round to zero.
+  const rounded = Number(converted.toFixed(definition.decimals)) || 0;
+  return `${rounded.toFixed(definition.decimals)}${definition.symbol}`;
+}
+
+// ==================== ERRORS ====================
+class WeatherError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.url = details.url ? redactApiKey(details.url) : null;
+    this.retries = details.retries ?? 0;
+    this.retryable = details.retryable ?? false;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+class HttpError extends WeatherError {
+  constructor(message, details = {}) {
+    super(message, { retryable: isRetryableStatus(details.status), ...details });
+  }
+}
+
+class CityNotFoundError extends HttpError {}
+
+class AuthError extends HttpError {}
+
+class RateLimitError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+class NetworkError extends WeatherError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+class TimeoutError extends NetworkError {}
+
+class ParseError extends WeatherError {}
+
+function redactApiKey(url) {
+  return url.replace(/([?&]appid=)[^&]*/i, '$1***');
+}
+
+function createHttpError(response, url, now = Date.now()) {
+  const details = { status: response.status, url };
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new AuthError(`HTTP ${response.status}: API key rejected`, details);
+    case 404:
+      return new CityNotFoundError('HTTP 404: location not found', details);
+    case 429:
+      return new RateLimitError('HTTP 429: rate limit exceeded', {
+        ...details,
+        retryAfter: parseRetryAfter(response.headers?.get('Retry-After'), now)
+      });
+    default:
+      return new HttpError(`HTTP ${response.status}`, details);
+  }
+}
+
+// ==================== CACHE STORAGE ADAPTERS ====================
+// Adapters persist cache entries ({ timestamp, data }) outside the process.
+// WeatherCache keeps its own in-memory index, so adapters only need to
+// load everything once and mirror writes/deletes; `load` may return a promise.
+// Entry data arrives already serialized, so adapters can store it as-is.
+class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  load() {
+    return Array.from(this.entries.entries());
+  }
+
+  write(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+class LocalStorageStorage {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'weather_cache:';
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!this.storage) throw new Error('localStorage is not available');
+  }
+
+  // Keys are collected first: removing an entry renumbers the ones after
+  // it, so walking key(i) while removing would skip the next entry.
+  load() {
+    const storageKeys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey && storageKey.startsWith(this.prefix)) storageKeys.push(storageKey);
+    }
+    const entries = [];
+    for (const storageKey of storageKeys) {
+      try {
+        entries.push([storageKey.slice(this.prefix.length), JSON.parse(this.storage.getItem(storageKey))]);
+      } catch (error) {
+        console.warn('Dropping unreadable cache entry:', storageKey);
+        this.storage.removeItem(storageKey);
+      }
+    }
+    return entries;
+  }
+
+  write(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (error) {
+      console.warn('localStorage write failed:', error.message);
+    }
+  }
+
+  remove(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  clear() {
+    for (const [key] of this.load()) {
+      this.remove(key);
+    }
+  }
+}
+
+class IndexedDBStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'weather_cache';
+    this.storeName = options.storeName || 'entries';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!this.indexedDB) throw new Error('IndexedDB is not available');
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const result = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async load() {
+    const entries = [];
+    await this.transaction('readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        entries.push([cursor.key, cursor.value]);
+        cursor.continue();
+      };
+    });
+    return entries;
+  }
+
+  write(key, entry) {
+    return this.transaction('readwrite', store => store.put(entry, key))
+      .catch(error => console.warn('IndexedDB write failed:', error.message));
+  }
+
+  remove(key) {
+    return this.transaction('readwrite', store => store.delete(key))
+      .catch(error => console.warn('IndexedDB delete failed:', error.message));
+  }
+
+  clear() {
+    return this.transaction('readwrite', store => store.clear());
+  }
+}
+
+const CACHE_STORAGES = {
+  memory: MemoryStorage,
+  localStorage: LocalStorageStorage,
+  indexedDB: IndexedDBStorage
+};
+
+// Environment-specific entry points add their own backends (weather-node.mjs
+// registers `file`).
+function registerCacheStorage(name, Storage) {
+  CACHE_STORAGES[name] = Storage;
+}
+
+function createCacheStorage(storage = 'memory', options = {}) {
+  if (typeof storage !== 'string') return storage;
+  const Storage = CACHE_STORAGES[storage];
+  if (!Storage) throw new Error(`Unknown cache storage: ${storage}`);
+  return new Storage(options);
+}
+
+// ==================== CACHE SYSTEM ====================
+function estimateSize(data) {
+  try {
+    return (JSON.stringify(data) || '').length * 2;
+  } catch (error) {
+    return 0;
+  }
+}
+
+class WeatherCache {
+  constructor(options = {}) {
+    this.store = new Map();
+    this.ttl = options.ttl || CACHE_TTL;
+    this.ttlOverrides = options.ttlOverrides || {};
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.maxStale = options.maxStale || 0;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+    this.serialize = options.serialize || serializeWeatherData;
+    this.revive = options.revive || reviveWeatherData;
+    this.storage = createCacheStorage(options.storage, options.storageOptions);
+    const loaded = this.storage.load();
+    if (loaded && typeof loaded.then === 'function') {
+      this.ready = loaded
+        .then(entries => this.hydrate(entries))
+        .catch(error => console.warn('Cache storage load failed:', error.message));
+    } else {
+      this.hydrate(loaded);
+      this.ready = Promise.resolve();
+    }
+    this.cleanupInterval = this.clock.setInterval(() => this.cleanup(), this.ttl);
+    // Don't keep a Node process alive just to sweep the cache.
+    if (this.cleanupInterval && this.cleanupInterval.unref) this.cleanupInterval.unref();
+  }
+
+  // Stops the cleanup timer. Entries stay in memory and in storage.
+  dispose() {
+    this.clock.clearInterval(this.cleanupInterval);
+    this.cleanupInterval = null;
+  }
+
+  hydrate(entries) {
+    // Entries written while an async adapter was loading are newer, and
+    // sorting oldest-first keeps the LRU order across reloads.
+    const sorted = entries
+      .filter(([key]) => !this.store.has(key))
+      .sort(([, a], [, b]) => (a.accessedAt || a.timestamp) - (b.accessedAt || b.timestamp));
+    for (const [key, entry] of sorted) {
+      try {
+        entry.data = this.revive(entry.data);
+      } catch (error) {
+        console.warn('Dropping unrevivable cache entry:', key, error.message);
+        this.storage.remove(key);
+        continue;
+      }
+      entry.ttl = entry.ttl || this.ttlFor(key);
+      entry.size = estimateSize(entry.data);
+      this.insert(key, entry, false);
+    }
+    this.cleanup();
+  }
+
+  ttlFor(key) {
+    for (const [prefix, ttl] of Object.entries(this.ttlOverrides)) {
+      if (key.startsWith(prefix)) return ttl;
+    }
+    return this.ttl;
+  }
+
+  isExpired(entry, now = this.clock.now()) {
+    return now - entry.timestamp > entry.ttl;
+  }
+
+  isTooStale(entry, now = this.clock.now()) {
+    return now - entry.timestamp > entry.ttl + this.maxStale;
+  }
+
+  // `options.timestamp` backdates data that was already old when it arrived.
+  set(key, data, options = {}) {
+    const now = this.clock.now();
+    const entry = {
+      timestamp: options.timestamp || now,
+      accessedAt: now,
+      ttl: options.ttl || this.ttlFor(key),
+      size: estimateSize(data),
+      data
+    };
+    this.insert(key, entry, true);
+  }
+
+  insert(key, entry, persist) {
+    if (this.store.has(key)) this.delete(key, false);
+    this.store.set(key, entry);
+    this.bytes += entry.size;
+    if (persist) this.storage.write(key, { ...entry, data: this.serialize(entry.data) });
+    this.evict();
+  }
+
+  // `options.maxAge` (ms) makes an older entry a miss without dropping it,
+  // for callers that want a more recent copy than the TTL allows.
+  get(key, options = {}) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      // Expired entries are kept for getStale() until maxStale runs out.
+      if (this.isTooStale(entry)) {
+        this.delete(key);
+        this.stats.expirations++;
+      }
+      this.stats.misses++;
+      return null;
+    }
+    if (options.maxAge !== undefined && this.clock.now() - entry.timestamp > options.maxAge) {
+      this.stats.misses++;
+      return null;
+    }
+    this.touch(key, entry);
+    this.stats.hits++;
+    return entry.data;
+  }
+
+  getStale(key) {
+    const entry = this.store.get(key);
+    if (!entry || this.isTooStale(entry)) return null;
+    this.touch(key, entry);
+    return {
+      data: entry.data,
+      age: this.clock.now() - entry.timestamp,
+      expired: this.isExpired(entry)
+    };
+  }
+
+  touch(key, entry) {
+    // Map iteration order doubles as the LRU list: move hits to the end.
+    this.store.delete(key);
+    entry.accessedAt = this.clock.now();
+    this.store.set(key, entry);
+  }
+
+  delete(key, persist = true) {
+    const entry = this.store.get(key);
+    if (!entry) return;
+    this.store.delete(key);
+    this.bytes -= entry.size;
+    if (persist) this.storage.remove(key);
+  }
+
+  evict() {
+    while (this.store.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.store.keys().next().value;
+      this.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  cleanup() {
+    const now = this.clock.now();
+    for (const [key, entry] of this.store.entries()) {
+      if (this.isTooStale(entry, now)) {
+        this.delete(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.store.size,
+      bytes: this.bytes,
+      hitRate: lookups ? this.stats.hits / lookups : 0
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+}
+
+// ==================== DERIVED METRICS ====================
+// All inputs and outputs are metric: °C, % relative humidity, m/s.
+const CARDINAL_DIRECTIONS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Magnus formula with the Alduchov & Eskridge coefficients.
+function calculateDewPoint(temperature, humidity) {
+  if (!Number.isFinite(temperature) || !(humidity > 0)) return null;
+  const gamma = Math.log(humidity / 100) + (17.625 * temperature) / (243.04 + temperature);
+  return (243.04 * gamma) / (17.625 - gamma);
+}
+
+// NWS heat index (Rothfusz regression with its low/high humidity
+// adjustments). Only meaningful from about 27°C.
+function calculateHeatIndex(temperature, humidity) {
+  if (!Number.isFinite(temperature) || !Number.isFinite(humidity)) return null;
+  const t = temperature * 9 / 5 + 32;
+  if (t < 80) return null;
+  const rh = humidity;
+  let index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+    - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+    + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+  if (rh < 13 && t <= 112) {
+    index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t <= 87) {
+    index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return (index - 32) * 5 / 9;
+}
+
+// Environment Canada / NWS wind chill. Defined for ≤10°C and wind above 4.8 km/h.
+function calculateWindChill(temperature, windSpeed) {
+  if (!Number.isFinite(temperature) || !Number.isFinite(windSpeed)) return null;
+  const kmh = windSpeed * 3.6;
+  if (temperature > 10 || kmh <= 4.8) return null;
+  const factor = Math.pow(kmh, 0.16);
+  return 13.12 + 0.6215 * temperature - 11.37 * factor + 0.3965 * temperature * factor;
+}
+
+// Steadman's apparent temperature as used by the Australian Bureau of Meteorology.
+function calculateApparentTemperature(temperature, humidity, windSpeed) {
+  if (![temperature, humidity, windSpeed].every(Number.isFinite)) return null;
+  const vapourPressure = (humidity / 100) * 6.105 * Math.exp((17.27 * temperature) / (237.7 + temperature));
+  return temperature + 0.33 * vapourPressure - 0.7 * windSpeed - 4;
+}
+
+function getCardinalDirection(degrees) {
+  if (!Number.isFinite(degrees)) return null;
+  const normalized = ((degrees % 360) + 360) % 360;
+  return CARDINAL_DIRECTIONS[Math.round(normalized / 22.5) % 16];
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60000));
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+}
+
+// OpenWeather-style icon families (the "01" of "01d") by condition.
+const ICON_CONDITIONS = {
+  '01': 'clear',
+  '02': 'partly-cloudy',
+  '03': 'cloudy',
+  '04': 'cloudy',
+  '09': 'rain',
+  '10': 'rain',
+  '11': 'thunderstorm',
+  '13': 'snow',
+  '50': 'mist'
+};
+
+// Providers without icon codes are classified from their description;
+// order matters, e.g. "thunderstorm with rain" is a thunderstorm.
+const CONDITION_KEYWORDS = [
+  ['thunderstorm', /thunder|lightning/],
+  ['snow', /snow|sleet|blizzard|hail|ice|freezing/],
+  ['rain', /rain|drizzle|shower/],
+  ['mist', /mist|fog|haze|smoke|dust|sand/],
+  ['partly-cloudy', /partly|few clouds|scattered|mainly clear/],
+  ['cloudy', /cloud|overcast/],
+  ['clear', /clear|sun|fair/]
+];
+
+// One of the ICON_CONDITIONS values, or null when neither input says.
+function classifyConditions(icon, conditions) {
+  const family = typeof icon === 'string' ? ICON_CONDITIONS[icon.slice(0, 2)] : undefined;
+  if (family) return family;
+  if (typeof conditions !== 'string') return null;
+  const text = conditions.toLowerCase();
+  const match = CONDITION_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+// ==================== PROVIDER ADAPTERS ====================
+// Adapters map a provider's payload onto WeatherData's fields, converting to
+// metric. A field the payload doesn't carry is left undefined; it is then
+// reported in `missing` rather than replaced with a made-up default.
+const REQUIRED_WEATHER_FIELDS = ['temperature'];
+
+const isNumberBetween = (min, max) => value => Number.isFinite(value) && value >= min && value <= max;
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const isValidDate = value => value instanceof Date && !Number.isNaN(value.getTime());
+
+const WEATHER_FIELD_RULES = {
+  city: isNonEmptyString,
+  temperature: isNumberBetween(-100, 70),
+  feelsLike: isNumberBetween(-120, 90),
+  humidity: isNumberBetween(0, 100),
+  windSpeed: isNumberBetween(0, 150),
+  windDirection: isNumberBetween(0, 360),
+  pressure: isNumberBetween(300, 1100),
+  precipitation: isNumberBetween(0, 500),
+  conditions: isNonEmptyString,
+  icon: value => typeof value === 'string' && /^\d{2}[dn]$/.test(value),
+  sunrise: isValidDate,
+  sunset: isValidDate
+};
+
+// WMO weather interpretation codes, as used by Open-Meteo, mapped to a
+// description and the OpenWeather-style icon family.
+const WMO_WEATHER_CODES = {
+  0: ['clear sky', '01'],
+  1: ['mainly clear', '02'],
+  2: ['partly cloudy', '03'],
+  3: ['overcast', '04'],
+  45: ['fog', '50'],
+  48: ['depositing rime fog', '50'],
+  51: ['light drizzle', '09'],
+  53: ['drizzle', '09'],
+  55: ['dense drizzle', '09'],
+  56: ['light freezing drizzle', '09'],
+  57: ['freezing drizzle', '09'],
+  61: ['light rain', '10'],
+  63: ['rain', '10'],
+  65: ['heavy rain', '10'],
+  66: ['light freezing rain', '13'],
+  67: ['freezing rain', '13'],
+  71: ['light snow', '13'],
+  73: ['snow', '13'],
+  75: ['heavy snow', '13'],
+  77: ['snow grains', '13'],
+  80: ['light rain showers', '09'],
+  81: ['rain showers', '09'],
+  82: ['violent rain showers', '09'],
+  85: ['light snow showers', '13'],
+  86: ['heavy snow showers', '13'],
+  95: ['thunderstorm', '11'],
+  96: ['thunderstorm with hail', '11'],
+  99: ['thunderstorm with heavy hail', '11']
+};
+
+function fromUnixSeconds(seconds) {
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : undefined;
+}
+
+function toCelsius(value, unit = '°C') {
+  if (!Number.isFinite(value)) return undefined;
+  if (/F/i.test(unit)) return (value - 32) * 5 / 9;
+  if (/^K$/i.test(unit.trim())) return value - 273.15;
+  return value;
+}
+
+function toMetersPerSecond(value, unit = 'm/s') {
+  if (!Number.isFinite(value)) return undefined;
+  const normalized = unit.toLowerCase().replace(/\s/g, '');
+  if (normalized === 'km/h' || normalized === 'kmh') return value / 3.6;
+  if (normalized === 'mph' || normalized === 'mp/h') return value / 2.236936;
+  if (normalized === 'kn' || normalized === 'kt' || normalized === 'knots') return value / 1.943844;
+  return value;
+}
+
+// Splits strings such as "+21 °C" or "12 km/h" into a number and its unit.
+function parseMeasurementString(text) {
+  const match = typeof text === 'string' && text.match(/^\s*([+-]?\d+(?:\.\d+)?)\s*(.*?)\s*$/);
+  return match ? { value: Number(match[1]), unit: match[2] } : { value: undefined, unit: '' };
+}
+
+// Open-Meteo returns local times without an offset plus utc_offset_seconds.
+function parseLocalIsoTime(value, offsetSeconds = 0) {
+  if (typeof value !== 'string') return undefined;
+  const utc = Date.parse(`${value}Z`);
+  return Number.isNaN(utc) ? undefined : new Date(utc - offsetSeconds * 1000);
+}
+
+// OpenWeather omits rain/snow entirely when nothing is falling, which only
+// means 0 mm in a real observation (one with a `dt` timestamp). Anything
+// else without them has simply not reported precipitation.
+function getOpenWeatherPrecipitation(raw) {
+  const rain = raw.rain?.['1h'];
+  const snow = raw.snow?.['1h'];
+  if (rain === undefined && snow === undefined) return raw.dt !== undefined ? 0 : undefined;
+  return (rain || 0) + (snow || 0);
+}
+
+const PROVIDER_ADAPTERS = {
+  openweather: {
+    detect: raw => Boolean(raw.main || raw.weather),
+    normalize: raw => ({
+      city: raw.city ?? raw.name,
+      temperature: raw.main?.temp,
+      feelsLike: raw.main?.feels_like,
+      humidity: raw.main?.humidity,
+      windSpeed: raw.wind?.speed,
+      windDirection: raw.wind?.deg,
+      pressure: raw.main?.pressure,
+      precipitation: getOpenWeatherPrecipitation(raw),
+      conditions: raw.weather?.[0]?.description,
+      icon: raw.weather?.[0]?.icon,
+      sunrise: fromUnixSeconds(raw.sys?.sunrise),
+      sunset: fromUnixSeconds(raw.sys?.sunset)
+    })
+  },
+
+  // The goweather.xyz shape used by "fatch API/script.js":
+  // { temperature: '+21 °C', wind: '12 km/h', description: 'Sunny', forecast: [...] }
+  goweather: {
+    detect: raw => typeof raw.temperature === 'string' && 'description' in raw,
+    normalize: (raw, options) => {
+      const temperature = parseMeasurementString(raw.temperature);
+      const wind = parseMeasurementString(raw.wind);
+      return {
+        city: options.city,
+        temperature: toCelsius(temperature.value, temperature.unit),
+        windSpeed: toMetersPerSecond(wind.value, wind.unit || 'km/h'),
+        conditions: raw.description ? raw.description.toLowerCase() : undefined
+      };
+    }
+  },
+
+  // Open-Meteo's `current` block, or the older `current_weather` one.
+  openmeteo: {
+    detect: raw => Boolean(raw.current || raw.current_weather),
+    normalize: (raw, options) => {
+      const current = raw.current || {};
+      const legacy = raw.current_weather || {};
+      const units = { ...raw.current_weather_units, ...raw.current_units };
+      const code = current.weather_code ?? legacy.weathercode;
+      const isDay = (current.is_day ?? legacy.is_day) !== 0;
+      const weather = WMO_WEATHER_CODES[code];
+      return {
+        city: options.city,
+        temperature: toCelsius(current.temperature_2m ?? legacy.temperature, units.temperature_2m || units.temperature),
+        feelsLike: toCelsius(current.apparent_temperature, units.apparent_temperature),
+        humidity: current.relative_humidity_2m,
+        windSpeed: toMetersPerSecond(current.wind_speed_10m ?? legacy.windspeed, units.wind_speed_10m || units.windspeed || 'km/h'),
+        windDirection: current.wind_direction_10m ?? legacy.winddirection,
+        pressure: current.pressure_msl ?? current.surface_pressure,
+        precipitation: current.precipitation,
+        conditions: weather?.[0],
+        icon: weather ? `${weather[1]}${isDay ? 'd' : 'n'}` : undefined,
+        sunrise: parseLocalIsoTime(raw.daily?.sunrise?.[0], raw.utc_offset_seconds),
+        sunset: parseLocalIsoTime(raw.daily?.sunset?.[0], raw.utc_offset_seconds)
+      };
+    }
+  }
+};
+
+function registerProviderAdapter(name, adapter) {
+  if (typeof adapter?.normalize !== 'function') throw new Error('A provider adapter needs a normalize() function');
+  PROVIDER_ADAPTERS[name] = adapter;
+}
+
+function detectProvider(rawData) {
+  return Object.keys(PROVIDER_ADAPTERS).find(name => {
+    const { detect } = PROVIDER_ADAPTERS[name];
+    return typeof detect === 'function' && detect(rawData);
+  });
+}
+
+// Returns { provider, fields, missing, invalid }. Every field in
+// WEATHER_FIELD_RULES is present in `fields`, as null when missing or
+// invalid. With `strict`, a missing required field throws a ParseError.
+function normalizeWeatherPayload(rawData, options = {}) {
+  if (!rawData || typeof rawData !== 'object') {
+    throw new ParseError('Weather payload is not an object');
+  }
+  const provider = options.provider || detectProvider(rawData);
+  const adapter = PROVIDER_ADAPTERS[provider];
+  if (!adapter) throw new ParseError(`Unrecognised weather payload${provider ? ` for provider "${provider}"` : ''}`);
+
+  const normalized = adapter.normalize(rawData, options);
+  if (normalized.city === undefined) normalized.city = options.city;
+  const fields = {};
+  const missing = [];
+  const invalid = [];
+  for (const [name, isValid] of Object.entries(WEATHER_FIELD_RULES)) {
+    const value = normalized[name];
+    if (value !== undefined && value !== null && isValid(value)) {
+      fields[name] = value;
+      continue;
+    }
+    fields[name] = null;
+    missing.push(name);
+    if (value !== undefined && value !== null) invalid.push(name);
+  }
+
+  const missingRequired = REQUIRED_WEATHER_FIELDS.filter(name => missing.includes(name));
+  if (options.strict && missingRequired.length > 0) {
+    throw new ParseError(`Weather payload is missing ${missingRequired.join(', ')}`);
+  }
+  return { provider, fields, missing, invalid };
+}
+
+// ==================== WEATHER MODELS ====================
+class WeatherData {
+  // `options` are passed to normalizeWeatherPayload: provider, city, strict.
+  // `options.now` stamps updatedAt (defaults to the current time).
+  constructor(rawData, options = {}) {
+    const { provider, fields, missing, invalid } = normalizeWeatherPayload(rawData, options);
+    Object.assign(this, fields);
+    this.provider = provider;
+    this.missingFields = missing;
+    this.invalidFields = invalid;
+    this.updatedAt = new Date(options.now ?? Date.now());
+  }
+
+  hasField(name) {
+    return !this.missingFields.includes(name);
+  }
+
+  toJSON() {
+    const data = {};
+    for (const [key, value] of Object.entries(this)) {
+      data[key] = value instanceof Date ? (isValidDate(value) ? value.toISOString() : null) : value;
+    }
+    return { type: this.constructor.name, version: WEATHER_DATA_VERSION, data };
+  }
+
+  // Accepts a toJSON() payload or its JSON string. Called on a subclass,
+  // it only revives that model (ForecastData.fromJSON rejects WeatherData).
+  static fromJSON(json) {
+    let payload = json;
+    if (typeof json === 'string') {
+      try {
+        payload = JSON.parse(json);
+      } catch (error) {
+        throw new ParseError('Serialized weather data is not valid JSON', { cause: error });
+      }
+    }
+    if (!payload || typeof payload !== 'object' || !payload.data || typeof payload.data !== 'object') {
+      throw new ParseError('Serialized weather data is malformed');
+    }
+    if (payload.version !== WEATHER_DATA_VERSION) {
+      throw new ParseError(`Unsupported weather data version: ${payload.version}`);
+    }
+    const Model = Object.prototype.hasOwnProperty.call(WEATHER_MODELS, payload.type) ? WEATHER_MODELS[payload.type] : null;
+    if (!Model || !(Model === this || Model.prototype instanceof this)) {
+      throw new ParseError(`Cannot revive "${payload.type}" as ${this.name}`);
+    }
+
+    const instance = Object.assign(Object.create(Model.prototype), payload.data);
+    for (const field of WEATHER_DATE_FIELDS) {
+      if (instance[field] !== null && instance[field] !== undefined) instance[field] = new Date(instance[field]);
+    }
+    return instance;
+  }
+
+  getTemperature(units = 'METRIC') {
+    return formatMeasurement('temperature', this.temperature, units);
+  }
+
+  getFeelsLike(units = 'METRIC') {
+    return formatMeasurement('temperature', this.feelsLike, units);
+  }
+
+  getWindSpeed(units = 'METRIC') {
+    return formatMeasurement('speed', this.windSpeed, units);
+  }
+
+  getPressure(units = 'METRIC') {
+    return formatMeasurement('pressure', this.pressure, units);
+  }
+
+  getPrecipitation(units = 'METRIC') {
+    return formatMeasurement('precipitation', this.precipitation, units);
+  }
+
+  getDewPoint(units = 'METRIC') {
+    const dewPoint = calculateDewPoint(this.temperature, this.humidity);
+    return dewPoint === null ? null : formatMeasurement('temperature', dewPoint, units);
+  }
+
+  // Null outside the conditions the index is defined for.
+  getHeatIndex(units = 'METRIC') {
+    const heatIndex = calculateHeatIndex(this.temperature, this.humidity);
+    return heatIndex === null ? null : formatMeasurement('temperature', heatIndex, units);
+  }
+
+  getWindChill(units = 'METRIC') {
+    const windChill = calculateWindChill(this.temperature, this.windSpeed);
+    return windChill === null ? null : formatMeasurement('temperature', windChill, units);
+  }
+
+  getApparentTemperature(units = 'METRIC') {
+    const apparent = calculateApparentTemperature(this.temperature, this.humidity, this.windSpeed);
+    return apparent === null ? null : formatMeasurement('temperature', apparent, units);
+  }
+
+  getWindCardinal() {
+    return getCardinalDirection(this.windDirection);
+  }
+
+  getDayLength() {
+    if (!this.sunrise || !this.sunset) return null;
+    return this.sunset - this.sunrise;
+  }
+
+  getDaylightRemaining(now = new Date()) {
+    if (!this.sunrise || !this.sunset) return null;
+    if (now < this.sunrise) return this.getDayLength();
+    return Math.max(0, this.sunset - now);
+  }
+
+  getConditionType() {
+    return classifyConditions(this.icon, this.conditions);
+  }
+
+  // The icon's d/n suffix wins; otherwise today's sun times decide.
+  // Without either it is assumed to be day.
+  isNight(now = new Date()) {
+    if (typeof this.icon === 'string' && /[dn]$/.test(this.icon)) return this.icon.endsWith('n');
+    if (!this.sunrise || !this.sunset) return false;
+    return now < this.sunrise || now > this.sunset;
+  }
+}
+
+class ForecastData extends WeatherData {
+  constructor(rawData, city) {
+    super(rawData, { provider: 'openweather', city });
+    this.time = fromUnixSeconds(rawData.dt) || null;
+    this.precipitationChance = rawData.pop ?? null;
+  }
+}
+
+// Daily entries report temperature as { day, min, max } and keep wind and
+// sun times at the top level rather than under main/wind/sys.
+class DailyForecastData extends ForecastData {
+  constructor(rawData, city) {
+    super({
+      ...rawData,
+      main: {
+        temp: rawData.temp?.day,
+        feels_like: rawData.feels_like?.day,
+        humidity: rawData.humidity,
+        pressure: rawData.pressure
+      },
+      rain: { '1h': rawData.rain },
+      snow: { '1h': rawData.snow },
+      wind: { speed: rawData.speed, deg: rawData.deg },
+      sys: { sunrise: rawData.sunrise, sunset: rawData.sunset }
+    }, city);
+    this.tempMin = rawData.temp?.min ?? null;
+    this.tempMax = rawData.temp?.max ?? null;
+  }
+
+  getTemperatureRange(units = 'METRIC') {
+    return `${formatMeasurement('temperature', this.tempMax, units)} / ${formatMeasurement('temperature', this.tempMin, units)}`;
+  }
+}
+
+function parseForecast(rawData, Model) {
+  const city = rawData.city?.name || rawData.city || 'Unknown';
+  return (rawData.list || []).map(entry => new Model(entry, city));
+}
+
+// Returns a copy so the cached instance itself is never flagged.
+function markStale(data, age, refreshFailed = false) {
+  if (Array.isArray(data)) {
+    return Object.assign(data.slice(), { stale: true, staleAge: age, refreshFailed });
+  }
+  return Object.assign(Object.create(Object.getPrototypeOf(data)), data, {
+    stale: true,
+    staleAge: age,
+    refreshFailed
+  });
+}
+
+const WEATHER_MODELS = { WeatherData, ForecastData, DailyForecastData };
+const WEATHER_DATE_FIELDS = ['sunrise', 'sunset', 'updatedAt', 'time'];
+
+function isSerializedWeatherData(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    Object.prototype.hasOwnProperty.call(WEATHER_MODELS, value.type) &&
+    'version' in value && 'data' in value;
+}
+
+// Cache entries hold single models or forecast arrays; anything else
+// (geocoding results) passes through untouched.
+function serializeWeatherData(value) {
+  if (Array.isArray(value)) return value.map(serializeWeatherData);
+  return value instanceof WeatherData ? value.toJSON() : value;
+}
+
+function reviveWeatherData(value) {
+  if (Array.isArray(value)) return value.map(reviveWeatherData);
+  return isSerializedWeatherData(value) ? WeatherData.fromJSON(value) : value;
+}
+
+// Data the service worker served from its own cache while offline.
+function markOffline(data, age) {
+  return Object.assign(markStale(data, age, true), { offline: true });
+}
+
+// ==================== GEOCODING ====================
+// Bundled fallback for city search when the geocoding endpoint is
+// unreachable. Deliberately includes names shared by several places.
+const OFFLINE_CITIES = [
+  { name: 'Amsterdam', country: 'NL', state: 'North Holland', lat: 52.37, lon: 4.9 },
+  { name: 'Beijing', country: 'CN', state: 'Beijing', lat: 39.9, lon: 116.41 },
+  { name: 'Bengaluru', country: 'IN', state: 'Karnataka', lat: 12.97, lon: 77.59 },
+  { name: 'Berlin', country: 'DE', state: 'Berlin', lat: 52.52, lon: 13.4 },
+  { name: 'Birmingham', country: 'GB', state: 'England', lat: 52.49, lon: -1.89 },
+  { name: 'Birmingham', country: 'US', state: 'Alabama', lat: 33.52, lon: -86.81 },
+  { name: 'Buenos Aires', country: 'AR', state: 'Buenos Aires', lat: -34.6, lon: -58.38 },
+  { name: 'Cairo', country: 'EG', state: 'Cairo', lat: 30.04, lon: 31.24 },
+  { name: 'Cambridge', country: 'GB', state: 'England', lat: 52.21, lon: 0.12 },
+  { name: 'Cambridge', country: 'US', state: 'Massachusetts', lat: 42.37, lon: -71.11 },
+  { name: 'Chicago', country: 'US', state: 'Illinois', lat: 41.88, lon: -87.63 },
+  { name: 'Delhi', country: 'IN', state: 'Delhi', lat: 28.65, lon: 77.23 },
+  { name: 'Dubai', country: 'AE', state: 'Dubai', lat: 25.2, lon: 55.27 },
+  { name: 'Faisalabad', country: 'PK', state: 'Punjab', lat: 31.42, lon: 73.08 },
+  { name: 'Hyderabad', country: 'IN', state: 'Telangana', lat: 17.38, lon: 78.49 },
+  { name: 'Hyderabad', country: 'PK', state: 'Sindh', lat: 25.4, lon: 68.37 },
+  { name: 'Islamabad', country: 'PK', state: 'Islamabad Capital Territory', lat: 33.68, lon: 73.05 },
+  { name: 'Istanbul', country: 'TR', state: 'Istanbul', lat: 41.01, lon: 28.98 },
+  { name: 'Johannesburg', country: 'ZA', state: 'Gauteng', lat: -26.2, lon: 28.05 },
+  { name: 'Karachi', country: 'PK', state: 'Sindh', lat: 24.86, lon: 67.01 },
+  { name: 'Lagos', country: 'NG', state: 'Lagos', lat: 6.52, lon: 3.38 },
+  { name: 'Lahore', country: 'PK', state: 'Punjab', lat: 31.55, lon: 74.34 },
+  { name: 'London', country: 'CA', state: 'Ontario', lat: 42.98, lon: -81.25 },
+  { name: 'London', country: 'GB', state: 'England', lat: 51.51, lon: -0.13 },
+  { name: 'Los Angeles', country: 'US', state: 'California', lat: 34.05, lon: -118.24 },
+  { name: 'Madrid', country: 'ES', state: 'Madrid', lat: 40.42, lon: -3.7 },
+  { name: 'Melbourne', country: 'AU', state: 'Victoria', lat: -37.81, lon: 144.96 },
+  { name: 'Mexico City', country: 'MX', state: 'Mexico City', lat: 19.43, lon: -99.13 },
+  { name: 'Moscow', country: 'RU', state: 'Moscow', lat: 55.76, lon: 37.62 },
+  { name: 'Multan', country: 'PK', state: 'Punjab', lat: 30.2, lon: 71.47 },
+  { name: 'Mumbai', country: 'IN', state: 'Maharashtra', lat: 19.08, lon: 72.88 },
+  { name: 'Nairobi', country: 'KE', state: 'Nairobi', lat: -1.29, lon: 36.82 },
+  { name: 'New York', country: 'US', state: 'New York', lat: 40.71, lon: -74.01 },
+  { name: 'Paris', country: 'FR', state: 'Île-de-France', lat: 48.85, lon: 2.35 },
+  { name: 'Paris', country: 'US', state: 'Texas', lat: 33.66, lon: -95.56 },
+  { name: 'Peshawar', country: 'PK', state: 'Khyber Pakhtunkhwa', lat: 34.01, lon: 71.58 },
+  { name: 'Portland', country: 'US', state: 'Maine', lat: 43.66, lon: -70.26 },
+  { name: 'Portland', country: 'US', state: 'Oregon', lat: 45.52, lon: -122.68 },
+  { name: 'Quetta', country: 'PK', state: 'Balochistan', lat: 30.18, lon: 66.99 },
+  { name: 'Rawalpindi', country: 'PK', state: 'Punjab', lat: 33.6, lon: 73.04 },
+  { name: 'Reykjavík', country: 'IS', state: 'Capital Region', lat: 64.15, lon: -21.94 },
+  { name: 'Riyadh', country: 'SA', state: 'Riyadh', lat: 24.71, lon: 46.68 },
+  { name: 'Rome', country: 'IT', state: 'Lazio', lat: 41.9, lon: 12.5 },
+  { name: 'San Francisco', country: 'US', state: 'California', lat: 37.77, lon: -122.42 },
+  { name: 'São Paulo', country: 'BR', state: 'São Paulo', lat: -23.55, lon: -46.63 },
+  { name: 'Shanghai', country: 'CN', state: 'Shanghai', lat: 31.23, lon: 121.47 },
+  { name: 'Singapore', country: 'SG', state: '', lat: 1.35, lon: 103.82 },
+  { name: 'Springfield', country: 'US', state: 'Illinois', lat: 39.8, lon: -89.64 },
+  { name: 'Springfield', country: 'US', state: 'Massachusetts', lat: 42.1, lon: -72.59 },
+  { name: 'Springfield', country: 'US', state: 'Missouri', lat: 37.21, lon: -93.29 },
+  { name: 'Sydney', country: 'AU', state: 'New South Wales', lat: -33.87, lon: 151.21 },
+  { name: 'Tokyo', country: 'JP', state: 'Tokyo', lat: 35.68, lon: 139.69 },
+  { name: 'Toronto', country: 'CA', state: 'Ontario', lat: 43.65, lon: -79.38 },
+  { name: 'Tromsø', country: 'NO', state: 'Troms', lat: 69.65, lon: 18.96 },
+  { name: 'Vancouver', country: 'CA', state: 'British Columbia', lat: 49.28, lon: -123.12 }
+];
+
+function normalizeSearchText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// "Hyderabad, PK" or "Portland, Maine": the first part matches the city name,
+// any further parts must match its country or state.
+function searchOfflineCities(query, limit = GEOCODE_RESULT_LIMIT) {
+  const [name, ...qualifiers] = normalizeSearchText(query).split(',').map(part => part.trim());
+  if (!name) return [];
+  return OFFLINE_CITIES
+    .filter(place => normalizeSearchText(place.name).startsWith(name))
+    .filter(place => qualifiers.every(qualifier =>
+      normalizeSearchText(place.country) === qualifier || normalizeSearchText(place.state).startsWith(qualifier)))
+    .sort((a, b) => Number(normalizeSearchText(b.name) === name) - Number(normalizeSearchText(a.name) === name))
+    .slice(0, limit)
+    .map(place => ({ ...place, offline: true }));
+}
+
+function parseGeocodeResults(rawData) {
+  return (Array.isArray(rawData) ? rawData : [])
+    .map(place => ({
+      name: place.name,
+      country: place.country || '',
+      state: place.state || '',
+      lat: place.lat,
+      lon: place.lon
+    }))
+    .filter(place => place.name && place.lat !== undefined && place.lon !== undefined);
+}
+
+function formatPlaceLabel(place) {
+  return [place.name, place.state, place.country].filter(Boolean).join(', ');
+}
+
+function placeToLocation(place) {
+  return { lat: place.lat, lon: place.lon, city: place.name, countryCode: place.country };
+}
+
+// ==================== RATE LIMITING ====================
+class RateLimiter {
+  constructor(options = {}) {
+    this.capacity = options.capacity || RATE_LIMIT.capacity;
+    this.refillPerSecond = options.refillPerSecond || RATE_LIMIT.refillPerSecond;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    this.tokens = this.capacity;
+    this.lastRefill = this.clock.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = this.clock.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Called on 429 responses so every queued request backs off, not just the
+  // one that was rejected.
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.clock.now() + ms);
+  }
+
+  async acquire(signal) {
+    for (;;) {
+      throwIfAborted(signal);
+      this.refill();
+      const pauseRemaining = this.pausedUntil - this.clock.now();
+      const tokenWait = this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.refillPerSecond) * 1000;
+      const wait = Math.max(pauseRemaining, tokenWait);
+      if (wait <= 0) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(wait, signal, this.clock);
+    }
+  }
+}
+
+function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function getServiceWorkerCacheTime(response) {
+  const value = response.headers ? Number(response.headers.get(SW_CACHED_AT_HEADER)) : 0;
+  return value > 0 ? value : null;
+}
+
+// `random` is swappable so tests can pin the jitter.
+function getBackoffDelay(attempt, baseDelay = RETRY_BASE_DELAY, maxDelay = RETRY_MAX_DELAY, random = Math.random) {
+  // "Full jitter": a random delay up to the exponential ceiling.
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+// ==================== API CLIENT ====================
+function formatCityQuery(city, countryCode = '') {
+  return countryCode ? `${city},${countryCode}` : city;
+}
+
+// A location is one of { city, countryCode }, { lat, lon }, { zip, countryCode }
+// or { id }; a bare string is treated as a city name.
+function normalizeLocation(location, countryCode = '') {
+  if (typeof location === 'string') return { city: location, countryCode };
+  if (!location) throw new Error('A location is required');
+  return location;
+}
+
+function hasCoords(location) {
+  return location.lat !== undefined && location.lon !== undefined;
+}
+
+// Coordinates are rounded to ~1 km so nearby lookups share a cache entry.
+function roundCoords(location) {
+  const lat = Number(location.lat);
+  const lon = Number(location.lon);
+  if (!(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+    throw new RangeError(`Invalid coordinates: ${location.lat}, ${location.lon}`);
+  }
+  return { lat: lat.toFixed(2), lon: lon.toFixed(2) };
+}
+
+function getLocationParams(location) {
+  if (hasCoords(location)) return roundCoords(location);
+  if (location.zip) return { zip: formatCityQuery(location.zip, location.countryCode) };
+  if (location.id) return { id: location.id };
+  if (location.city) return { q: formatCityQuery(location.city, location.countryCode) };
+  throw new Error('A location needs a city, coordinates, ZIP code or city id');
+}
+
+function getLocationKey(location) {
+  if (hasCoords(location)) {
+    const { lat, lon } = roundCoords(location);
+    return `coords_${lat}_${lon}`;
+  }
+  if (location.zip) return `zip_${location.zip}_${location.countryCode || ''}`.toLowerCase();
+  if (location.id) return `id_${location.id}`;
+  return `city_${location.city}_${location.countryCode || ''}`.toLowerCase();
+}
+
+function describeLocation(location) {
+  if (hasCoords(location)) return `${Number(location.lat).toFixed(2)}, ${Number(location.lon).toFixed(2)}`;
+  if (location.zip) return formatCityQuery(location.zip, location.countryCode);
+  if (location.id) return `city #${location.id}`;
+  return formatCityQuery(location.city, location.countryCode);
+}
+
+class WeatherApiClient extends EventEmitter {
+  constructor(apiKey, options = {}) {
+    super();
+    this.apiKey = apiKey || 'DEMO_KEY';
+    // Point at mock-server.mjs (e.g. 'http://localhost:8787') for offline development.
+    this.baseUrl = (options.baseUrl || WEATHER_API_BASE).replace(/\/+$/, '');
+    this.staleWhileRevalidate = Boolean(options.staleWhileRevalidate);
+    this.provider = options.provider;
+    this.clock = options.clock || SYSTEM_CLOCK;
+    // A cache passed in may be shared, so only a cache we built is disposed with us.
+    this.ownsCache = !options.cache;
+    this.cache = options.cache || new WeatherCache({
+      maxStale: this.staleWhileRevalidate ? STALE_TTL : 0,
+      clock: this.clock,
+      ...options.cacheOptions,
+      storage: options.cacheStorage,
+      storageOptions: options.cacheStorageOptions
+    });
+    this.requestQueue = [];
+    this.isProcessingQueue = false;
+    this.maxConcurrent = options.maxConcurrent || MAX_CONCURRENT_REQUESTS;
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.fetchImpl = options.fetch || null; // e.g. createMockFetch() from weather-mock.mjs
+    this.activeRequests = 0;
+    this.inFlight = new Map();
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ clock: this.clock, ...options.rateLimit });
+    this.retryPolicy = {
+      retries: MAX_RETRIES,
+      baseDelay: RETRY_BASE_DELAY,
+      maxDelay: RETRY_MAX_DELAY,
+      random: Math.random,
+      ...options.retryPolicy
+    };
+  }
+
+  // Aborts queued and in-flight requests, drops every listener and stops the
+  // cache timer. The client should not be used afterwards.
+  dispose() {
+    this.listeners.clear();
+    for (const { reject } of this.requestQueue.splice(0)) reject(createAbortError());
+    for (const flight of this.inFlight.values()) flight.controller.abort();
+    if (this.ownsCache) this.cache.dispose();
+  }
+
+  enqueue(task, signal) {
+    return new Promise((resolve, reject) => {
+      const item = { task, resolve, reject };
+      if (signal) {
+        if (signal.aborted) return reject(createAbortError(signal));
+        signal.addEventListener('abort', () => {
+          const index = this.requestQueue.indexOf(item);
+          if (index === -1) return;
+          this.requestQueue.splice(index, 1);
+          reject(createAbortError(signal));
+        }, { once: true });
+      }
+      this.requestQueue.push(item);
+      this.processQueue();
+    });
+  }
+
+  processQueue() {
+    if (this.isProcessingQueue) return;
+    this.isProcessingQueue = true;
+    while (this.activeRequests < this.maxConcurrent && this.requestQueue.length > 0) {
+      const { task, resolve, reject } = this.requestQueue.shift();
+      this.activeRequests++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.activeRequests--;
+          this.processQueue();
+        });
+    }
+    this.isProcessingQueue = false;
+  }
+
+  getQueueStats() {
+    return {
+      active: this.activeRequests,
+      queued: this.requestQueue.length,
+      inFlight: this.inFlight.size
+    };
+  }
+
+  async fetchWithRetry(url, retries = this.retryPolicy.retries, options = {}) {
+    let response;
+    let data;
+    try {
+      await this.rateLimiter.acquire(options.signal);
+      ({ response, data } = await this.fetchWithTimeout(url, options));
+    } catch (error) {
+      if (!(error instanceof WeatherError)) throw error;
+      return this.retryOrThrow(url, retries, error, options);
+    }
+
+    if (!response.ok) {
+      const error = createHttpError(response, url, this.clock.now());
+      if (error instanceof RateLimitError) {
+        this.rateLimiter.pause(error.retryAfter ?? this.retryPolicy.baseDelay);
+      }
+      return this.retryOrThrow(url, retries, error, options);
+    }
+    if (options.onResponse) options.onResponse(response);
+    return data;
+  }
+
+  // A single attempt bounded by the timeout and the caller's signal. The body
+  // is read under the same timer, since a server can stall after the headers.
+  async fetchWithTimeout(url, { signal, timeout = this.timeout } = {}) {
+    throwIfAborted(signal);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = this.clock.setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const init = { signal: controller.signal };
+      const response = await (this.fetchImpl ? this.fetchImpl(url, init) : fetch(url, init));
+      if (!response.ok) return { response, data: null };
+      try {
+        return { response, data: await response.json() };
+      } catch (error) {
+        if (controller.signal.aborted) throw error;
+        throw new ParseError('Response body is not valid JSON', { status: response.status, url, cause: error });
+      }
+    } catch (error) {
+      if (signal && signal.aborted) throw createAbortError(signal);
+      if (timedOut) throw new TimeoutError(`Request timed out after ${timeout}ms`, { url, cause: error });
+      if (error instanceof WeatherError) throw error;
+      throw new NetworkError(error.message || 'Network request failed', { url, cause: error });
+    } finally {
+      this.clock.clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async retryOrThrow(url, retries, error, options = {}) {
+    const attempt = this.retryPolicy.retries - retries;
+    error.retries = attempt;
+    if (!error.retryable || retries <= 0) throw error;
+    const delay = error.retryAfter ?? getBackoffDelay(attempt, this.retryPolicy.baseDelay, this.retryPolicy.maxDelay, this.retryPolicy.random);
+    // A server asking us to wait longer than we are willing to is a failure.
+    if (delay > this.retryPolicy.maxDelay) throw error;
+    await sleep(delay, options.signal, this.clock);
+    return this.fetchWithRetry(url, retries - 1, options);
+  }
+
+  getCityCacheKey(city, countryCode = '') {
+    return getLocationKey({ city, countryCode });
+  }
+
+  getLocationCacheKey(location, countryCode = '') {
+    return getLocationKey(normalizeLocation(location, countryCode));
+  }
+
+  getForecastCacheKey(type, location, countryCode = '') {
+    return `forecast_${type}_${this.getLocationCacheKey(location, countryCode)}`;
+  }
+
+  buildUrl(path, params = {}) {
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `${this.baseUrl}${path}?${query}${query ? '&' : ''}appid=${this.apiKey}`;
+  }
+
+  async getWeather(location, options = {}) {
+    const normalized = normalizeLocation(location);
+    const cacheKey = getLocationKey(normalized);
+    const url = this.buildUrl('/weather', { ...getLocationParams(normalized), units: 'metric' });
+    const parse = data => new WeatherData(data, {
+      provider: this.provider,
+      city: normalized.city,
+      strict: true,
+      now: this.clock.now()
+    });
+    return this.getResource(cacheKey, url, parse, options);
+  }
+
+  async getWeatherByCity(city, countryCode = '', options = {}) {
+    return this.getWeather({ city, countryCode }, options);
+  }
+
+  async getWeatherByCoords(lat, lon, options = {}) {
+    return this.getWeather({ lat, lon }, options);
+  }
+
+  async getWeatherByZip(zip, countryCode = '', options = {}) {
+    return this.getWeather({ zip, countryCode }, options);
+  }
+
+  async getWeatherById(id, options = {}) {
+    return this.getWeather({ id }, options);
+  }
+
+  // Forecasts accept either a city name plus country code or any location.
+  async getHourlyForecast(location, countryCode = '', options = {}) {
+    const normalized = normalizeLocation(location, countryCode);
+    const cacheKey = this.getForecastCacheKey('hourly', normalized);
+    const url = this.buildUrl('/forecast/hourly', {
+      ...getLocationParams(normalized),
+      cnt: HOURLY_FORECAST_HOURS,
+      units: 'metric'
+    });
+    return this.getResource(cacheKey, url, data => parseForecast(data, ForecastData), {
+      ttl: FORECAST_CACHE_TTL,
+      ...options
+    });
+  }
+
+  async getDailyForecast(location, countryCode = '', options = {}) {
+    const normalized = normalizeLocation(location, countryCode);
+    const cacheKey = this.getForecastCacheKey('daily', normalized);
+    const url = this.buildUrl('/forecast/daily', {
+      ...getLocationParams(normalized),
+      cnt: DAILY_FORECAST_DAYS,
+      units: 'metric'
+    });
+    return this.getResource(cacheKey, url, data => parseForecast(data, DailyForecastData), {
+      ttl: FORECAST_CACHE_TTL,
+      ...options
+    });
+  }
+
+  // Falls back to the bundled city list when the geocoding service can't be
+  // reached, so autocomplete keeps working offline.
+  async searchCities(query, options = {}) {
+    const text = query.trim();
+    if (!text) return [];
+    const limit = options.limit || GEOCODE_RESULT_LIMIT;
+    const cacheKey = `geo_${text}_${limit}`.toLowerCase();
+    const url = this.buildUrl('/geo/direct', { q: text, limit });
+    try {
+      return await this.getResource(cacheKey, url, parseGeocodeResults, {
+        ttl: GEOCODE_CACHE_TTL,
+        ...options
+      });
+    } catch (error) {
+      if (!(error instanceof WeatherError)) throw error;
+      return searchOfflineCities(text, limit);
+    }
+  }
+
+  // `options.maxAge` skips cached copies older than that many ms.
+  async getResource(cacheKey, url, parse, options = {}) {
+    const cached = this.cache.get(cacheKey, { maxAge: options.maxAge });
+    if (cached) return cached;
+
+    if (this.staleWhileRevalidate) {
+      const stale = this.cache.getStale(cacheKey);
+      // A copy that is only older than maxAge has not expired; fetch instead.
+      if (stale && stale.expired) {
+        this.revalidate(cacheKey, url, parse, options);
+        return markStale(stale.data, stale.age);
+      }
+    }
+    return this.fetchAndCache(cacheKey, url, parse, options);
+  }
+
+  // Concurrent lookups for the same cache key share one queued request. The
+  // shared request is only aborted once every caller waiting on it has
+  // aborted; callers without a signal keep it alive.
+  fetchAndCache(cacheKey, url, parse, options = {}) {
+    let flight = this.inFlight.get(cacheKey);
+    if (!flight) {
+      const controller = new AbortController();
+      let cachedAt = null;
+      const fetchOptions = {
+        signal: controller.signal,
+        timeout: options.timeout,
+        onResponse: response => {
+          cachedAt = getServiceWorkerCacheTime(response);
+        }
+      };
+      flight = {
+        controller,
+        waiters: 0,
+        pinned: false,
+        promise: this.enqueue(() => this.fetchWithRetry(url, undefined, fetchOptions), controller.signal)
+          .then(data => {
+            const parsed = parse(data);
+            // An offline copy is cached with its real age, so the next
+            // lookup treats it as stale and tries the network again.
+            this.cache.set(cacheKey, parsed, { ttl: options.ttl, timestamp: cachedAt });
+            return cachedAt ? markOffline(parsed, this.clock.now() - cachedAt) : parsed;
+          })
+          .finally(() => this.inFlight.delete(cacheKey))
+      };
+      this.inFlight.set(cacheKey, flight);
+    }
+    return this.waitForFlight(flight, options.signal);
+  }
+
+  waitForFlight(flight, signal) {
+    if (!signal) {
+      flight.pinned = true;
+      return flight.promise;
+    }
+    throwIfAborted(signal);
+    flight.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0 && !flight.pinned) flight.controller.abort();
+        reject(createAbortError(signal));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  revalidate(cacheKey, url, parse, options = {}) {
+    if (this.inFlight.has(cacheKey)) return;
+    this.fetchAndCache(cacheKey, url, parse, { ttl: options.ttl, timeout: options.timeout })
+      .then(data => this.emit('update', { key: cacheKey, data }))
+      .catch(error => {
+        const stale = this.cache.getStale(cacheKey);
+        this.emit('revalidateerror', {
+          key: cacheKey,
+          error,
+          data: stale ? markStale(stale.data, stale.age, true) : null
+        });
+      });
+  }
+}
+
+// ==================== EXPORTS ====================
+export {
+  WEATHER_API_BASE,
+  MAX_CONCURRENT_REQUESTS,
+  CACHE_TTL,
+  FORECAST_CACHE_TTL,
+  STALE_TTL,
+  SW_CACHED_AT_HEADER,
+  WEATHER_DATA_VERSION,
+  UNITS,
+  UNIT_SYSTEM_LABELS,
+  UNIT_DEFINITIONS,
+  SYSTEM_CLOCK,
+  generateRandomId,
+  createAbortError,
+  sleep,
+  formatAge,
+  formatDuration,
+  throttle,
+  debounce,
+  EventEmitter,
+  resolveUnits,
+  convertUnit,
+  formatMeasurement,
+  WeatherError,
+  HttpError,
+  CityNotFoundError,
+  AuthError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  MemoryStorage,
+  LocalStorageStorage,
+  IndexedDBStorage,
+  registerCacheStorage,
+  createCacheStorage,
+  WeatherCache,
+  calculateDewPoint,
+  calculateHeatIndex,
+  calculateWindChill,
+  calculateApparentTemperature,
+  getCardinalDirection,
+  classifyConditions,
+  PROVIDER_ADAPTERS,
+  registerProviderAdapter,
+  normalizeWeatherPayload,
+  WeatherData,
+  ForecastData,
+  DailyForecastData,
+  serializeWeatherData,
+  reviveWeatherData,
+  OFFLINE_CITIES,
+  normalizeSearchText,
+  searchOfflineCities,
+  formatPlaceLabel,
+  placeToLocation,
+  RateLimiter,
+  getBackoffDelay,
+  normalizeLocation,
+  getLocationKey,
+  describeLocation,
+  WeatherApiClient
+};
@@ -0,0 +1,116 @@
+/*
+ * Inline SVG weather icons.
+ * getWeatherIcon() picks an icon from a WeatherData-like object (its
+ * OpenWeather-style `icon` code, or the `conditions` text when there is no
+ * code) and renderWeatherIcon() returns it as markup:
+ *
+ *   element.innerHTML = renderWeatherIcon(data, { animated: true });
+ *
+ * Colours are fill/stroke attributes so the icons work anywhere; weather.css
+ * overrides them through the icon-* classes and animates the parts of
+ * `animated` icons unless the user prefers reduced motion.
+ */
+import { classifyConditions } from './weather-core.mjs';
+
+// ==================== SHAPES ====================
+// Every icon is drawn on a 64x64 grid.
+const SUN_RAYS = Array.from({ length: 8 }, (_, index) => {
+  const angle = index * Math.PI / 4;
+  const point = radius => `${(32 + Math.cos(angle) * radius).toFixed(1)} ${(32 + Math.sin(angle) * radius).toFixed(1)}`;
+  return `M${point(16)}L${point(22)}`;
+}).join('');
+
+const SUN = `<g class="icon-sun">
+  <path class="icon-sun-rays" d="${SUN_RAYS}" stroke="#f59e0b" stroke-width="3" stroke-linecap="round"/>
+  <circle class="icon-sun-core" cx="32" cy="32" r="11" fill="#fbbf24"/>
+</g>`;
+
+const MOON = '<path class="icon-moon" d="M38 10a22 22 0 1 0 16 34A18 18 0 0 1 38 10z" fill="#cbd5e1"/>';
+
+const CLOUD = '<path class="icon-cloud" d="M20 48h26a10 10 0 0 0 1-20 15 15 0 0 0-28-4 12 12 0 0 0 1 24z" fill="#94a3b8"/>';
+
+// Precipitation hangs below a cloud that is moved up to make room.
+const RAISED_CLOUD = `<g transform="translate(0 -8)">${CLOUD}</g>`;
+
+const RAIN = `<g class="icon-rain" stroke="#3b82f6" stroke-width="3" stroke-linecap="round">
+  <path class="icon-drop" d="M22 46l-2 8"/>
+  <path class="icon-drop" d="M32 46l-2 8"/>
+  <path class="icon-drop" d="M42 46l-2 8"/>
+</g>`;
+
+const SNOW = `<g class="icon-snow" fill="#93c5fd">
+  <circle class="icon-flake" cx="22" cy="50" r="2.5"/>
+  <circle class="icon-flake" cx="32" cy="54" r="2.5"/>
+  <circle class="icon-flake" cx="42" cy="50" r="2.5"/>
+</g>`;
+
+const BOLT = '<path class="icon-bolt" d="M34 38l-9 13h7l-4 11 12-15h-7l4-9z" fill="#facc15"/>';
+
+const MIST = `<g class="icon-mist" stroke="#94a3b8" stroke-width="3" stroke-linecap="round">
+  <path class="icon-mist-line" d="M14 24h36"/>
+  <path class="icon-mist-line" d="M10 32h44"/>
+  <path class="icon-mist-line" d="M16 40h32"/>
+</g>`;
+
+// ==================== ICONS ====================
+const WEATHER_ICONS = {
+  'clear-day': SUN,
+  'clear-night': MOON,
+  'partly-cloudy-day': `<g transform="translate(-8 -8) scale(0.9)">${SUN}</g>${CLOUD}`,
+  'partly-cloudy-night': `<g transform="translate(-8 -6) scale(0.8)">${MOON}</g>${CLOUD}`,
+  cloudy: CLOUD,
+  rain: RAISED_CLOUD + RAIN,
+  thunderstorm: RAISED_CLOUD + BOLT,
+  snow: RAISED_CLOUD + SNOW,
+  mist: MIST
+};
+
+// Condition types from classifyConditions() that look different at night.
+const NIGHT_VARIANTS = {
+  clear: 'clear-night',
+  'partly-cloudy': 'partly-cloudy-night'
+};
+
+const DAY_VARIANTS = {
+  clear: 'clear-day',
+  'partly-cloudy': 'partly-cloudy-day'
+};
+
+// Returns a WEATHER_ICONS name, or null when the conditions are unknown.
+function getWeatherIcon(data, now = new Date()) {
+  if (!data) return null;
+  const type = typeof data.getConditionType === 'function'
+    ? data.getConditionType()
+    : classifyConditions(data.icon, data.conditions);
+  if (!type) return null;
+  const night = typeof data.isNight === 'function'
+    ? data.isNight(now)
+    : typeof data.icon === 'string' && data.icon.endsWith('n');
+  return (night ? NIGHT_VARIANTS[type] : DAY_VARIANTS[type]) || type;
+}
+
+// Accepts a WeatherData-like object or an icon name. The icon is
+// decorative (the conditions are always written out next to it), so it is
+// hidden from assistive technology. Returns '' when there is no icon.
+function renderWeatherIcon(dataOrName, options = {}) {
+  const name = typeof dataOrName === 'string' ? dataOrName : getWeatherIcon(dataOrName, options.now);
+  if (!name || !WEATHER_ICONS[name]) return '';
+  const classes = ['weather-icon', `weather-icon-${name}`, options.animated ? 'animated' : '', options.className || '']
+    .filter(Boolean)
+    .join(' ');
+  const size = options.size || 64;
+  return `<svg class="${classes}" viewBox="0 0 64 64" width="${size}" height="${size}" aria-hidden="true" focusable="false" xmlns="http://www.w3.org/2000/svg">${WEATHER_ICONS[name]}</svg>`;
+}
+
+function registerWeatherIcon(name, svgContent) {
+  if (typeof svgContent !== 'string') throw new Error('A weather icon must be SVG markup for a 64x64 viewBox');
+  WEATHER_ICONS[name] = svgContent;
+}
+
+// ==================== EXPORTS ====================
+export {
+  WEATHER_ICONS,
+  getWeatherIcon,
+  renderWeatherIcon,
+  registerWeatherIcon
+};
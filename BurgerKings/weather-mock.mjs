@@ -0,0 +1,342 @@
+/*
+ * Deterministic mock weather provider.
+ * createMockFetch() returns a drop-in replacement for fetch that answers the
+ * WeatherApiClient endpoints from seeded fixtures instead of the network:
+ *
+ *   new WeatherApiClient('key', { fetch: createMockFetch({ seed: 7, scenario: 'storm' }) })
+ *
+ * The same seed and city always produce the same weather. Timestamps follow
+ * `now` (rounded down to the hour), so pass a fixed `now` for fully
+ * repeatable output.
+ */
+import { sleep, OFFLINE_CITIES, normalizeSearchText, searchOfflineCities } from './weather-core.mjs';
+
+// ==================== CONSTANTS ====================
+const MOCK_DEFAULT_SEED = 1;
+const MOCK_SLOW_LATENCY = 3 * 1000;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MOCK_CONDITIONS = {
+  clear: { description: 'clear sky', icon: '01' },
+  clouds: { description: 'scattered clouds', icon: '03' },
+  overcast: { description: 'overcast clouds', icon: '04' },
+  rain: { description: 'light rain', icon: '10' },
+  thunderstorm: { description: 'thunderstorm with heavy rain', icon: '11' },
+  snow: { description: 'light snow', icon: '13' }
+};
+
+// ==================== SEEDED RANDOM ====================
+// FNV-1a hash of the seed and city feeding mulberry32.
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.between = (min, max, decimals = 1) => Number((min + next() * (max - min)).toFixed(decimals));
+  next.pick = items => items[Math.floor(next() * items.length)];
+  return next;
+}
+
+// ==================== SCENARIOS ====================
+// `conditions` shapes the generated weather; `status` replaces every
+// response with an error and `latency` delays it.
+const MOCK_SCENARIOS = {
+  normal: {
+    conditions: random => {
+      const condition = random.pick(['clear', 'clouds', 'overcast', 'rain']);
+      return {
+        condition,
+        temp: random.between(-5, 28),
+        humidity: random.between(35, 90, 0),
+        windSpeed: random.between(0, 9),
+        pressure: random.between(1000, 1030, 0),
+        rain: condition === 'rain' ? random.between(0.2, 4) : 0
+      };
+    }
+  },
+  heatwave: {
+    conditions: random => ({
+      condition: 'clear',
+      temp: random.between(37, 45),
+      humidity: random.between(15, 40, 0),
+      windSpeed: random.between(0, 4),
+      pressure: random.between(1008, 1018, 0),
+      rain: 0
+    })
+  },
+  storm: {
+    conditions: random => ({
+      condition: 'thunderstorm',
+      temp: random.between(8, 22),
+      humidity: random.between(85, 100, 0),
+      windSpeed: random.between(18, 32),
+      pressure: random.between(965, 990, 0),
+      rain: random.between(8, 40)
+    })
+  },
+  // The sun never rises, so sunrise and sunset are left out of the payload.
+  polarNight: {
+    polarNight: true,
+    conditions: random => ({
+      condition: random.pick(['clear', 'snow']),
+      temp: random.between(-38, -18),
+      humidity: random.between(60, 85, 0),
+      windSpeed: random.between(1, 12),
+      pressure: random.between(1005, 1040, 0),
+      snow: random.between(0, 2)
+    })
+  },
+  apiDown: { status: 503 },
+  slowNetwork: { extends: 'normal', latency: MOCK_SLOW_LATENCY },
+  cityNotFound: { status: 404 }
+};
+
+function getScenario(name) {
+  const scenario = MOCK_SCENARIOS[name];
+  if (!scenario) throw new Error(`Unknown mock scenario: ${name}`);
+  return scenario.extends ? { ...MOCK_SCENARIOS[scenario.extends], ...scenario } : scenario;
+}
+
+// ==================== FIXTURES ====================
+function toUnixSeconds(ms) {
+  return Math.floor(ms / 1000);
+}
+
+function getSunTimes(scenario, random, now) {
+  if (scenario.polarNight) return {};
+  const dayStart = Math.floor(now / DAY) * DAY;
+  return {
+    sunrise: toUnixSeconds(dayStart + random.between(5, 7.5) * HOUR),
+    sunset: toUnixSeconds(dayStart + random.between(17, 20.5) * HOUR)
+  };
+}
+
+function describeCondition(condition, isDay) {
+  const { description, icon } = MOCK_CONDITIONS[condition];
+  return [{ description, icon: `${icon}${isDay ? 'd' : 'n'}` }];
+}
+
+function isDaytime(sun, time) {
+  return Boolean(sun.sunrise) && time >= sun.sunrise * 1000 && time < sun.sunset * 1000;
+}
+
+function feelsLike(values) {
+  return Number((values.temp - values.windSpeed * 0.7 + (values.humidity - 50) * 0.03).toFixed(1));
+}
+
+function buildCurrent(place, scenario, random, now) {
+  const values = scenario.conditions(random);
+  const sun = getSunTimes(scenario, random, now);
+  return {
+    name: place.name,
+    dt: toUnixSeconds(now),
+    main: { temp: values.temp, feels_like: feelsLike(values), humidity: values.humidity, pressure: values.pressure },
+    wind: { speed: values.windSpeed, deg: random.between(0, 359, 0) },
+    weather: describeCondition(values.condition, isDaytime(sun, now)),
+    ...(values.rain ? { rain: { '1h': values.rain } } : {}),
+    ...(values.snow ? { snow: { '1h': values.snow } } : {}),
+    sys: sun
+  };
+}
+
+function shiftSunTimes(sun, days) {
+  if (!sun.sunrise) return sun;
+  return { sunrise: sun.sunrise + days * 86400, sunset: sun.sunset + days * 86400 };
+}
+
+function buildHourly(place, scenario, random, now, count) {
+  const baseTemp = scenario.conditions(random).temp;
+  const sun = getSunTimes(scenario, random, now);
+  const dayStart = Math.floor(now / DAY) * DAY;
+  const list = [];
+  for (let i = 1; i <= count; i++) {
+    const time = now + i * HOUR;
+    const values = scenario.conditions(random);
+    // A gentle daily curve around the base temperature, warmest mid-afternoon.
+    const curve = 4 * Math.sin(((new Date(time).getUTCHours() - 9) / 24) * 2 * Math.PI);
+    values.temp = Number((baseTemp + curve + random.between(-1, 1)).toFixed(1));
+    list.push({
+      dt: toUnixSeconds(time),
+      main: { temp: values.temp, feels_like: feelsLike(values), humidity: values.humidity, pressure: values.pressure },
+      wind: { speed: values.windSpeed, deg: random.between(0, 359, 0) },
+      weather: describeCondition(values.condition, isDaytime(shiftSunTimes(sun, Math.floor((time - dayStart) / DAY)), time)),
+      pop: values.rain || values.snow ? random.between(0.4, 1, 2) : random.between(0, 0.3, 2),
+      ...(values.rain ? { rain: { '1h': values.rain } } : {}),
+      ...(values.snow ? { snow: { '1h': values.snow } } : {})
+    });
+  }
+  return { city: { name: place.name }, list };
+}
+
+function buildDaily(place, scenario, random, now, count) {
+  const list = [];
+  for (let i = 0; i < count; i++) {
+    const time = now + i * DAY;
+    const values = scenario.conditions(random);
+    const sun = getSunTimes(scenario, random, time);
+    const spread = random.between(3, 9);
+    list.push({
+      dt: toUnixSeconds(time),
+      temp: { day: values.temp, min: Number((values.temp - spread).toFixed(1)), max: Number((values.temp + spread / 2).toFixed(1)) },
+      feels_like: { day: feelsLike(values) },
+      humidity: values.humidity,
+      pressure: values.pressure,
+      speed: values.windSpeed,
+      deg: random.between(0, 359, 0),
+      weather: describeCondition(values.condition, true),
+      pop: values.rain || values.snow ? random.between(0.5, 1, 2) : random.between(0, 0.2, 2),
+      ...(values.rain ? { rain: values.rain } : {}),
+      ...(values.snow ? { snow: values.snow } : {}),
+      ...sun
+    });
+  }
+  return { city: { name: place.name }, list };
+}
+
+// ==================== PLACES ====================
+// Geocoding answers from the bundled OFFLINE_CITIES, so names shared by
+// several places ("Hyderabad") come back as separate results. Any other
+// name gets coordinates derived from it. Each place is remembered by its
+// coordinates, so the widget's lookup by coordinates after a search gets
+// the place's name and the same weather as a lookup by name.
+const placesByCoords = new Map();
+
+function getCoordsKey(lat, lon) {
+  return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+}
+
+function rememberPlace(name, countryCode, lat, lon) {
+  placesByCoords.set(getCoordsKey(lat, lon), { name, countryCode });
+}
+
+for (const city of OFFLINE_CITIES) rememberPlace(city.name, city.country, city.lat, city.lon);
+
+function buildGeocode(query, place, limit) {
+  const known = searchOfflineCities(query, limit);
+  if (known.length > 0) return known.map(({ offline, ...city }) => city);
+  const random = createRandom(hashString(`geo:${place.key}`));
+  const lat = random.between(-60, 70, 2);
+  const lon = random.between(-180, 180, 2);
+  rememberPlace(place.name, place.countryCode, lat, lon);
+  return [{ name: place.name, country: place.countryCode, lat, lon }].slice(0, limit);
+}
+
+// ==================== REQUEST HANDLING ====================
+// Mirrors the location parameters WeatherApiClient sends. A place's key
+// seeds its weather, so a bundled city looked up by name, or by the
+// coordinates geocoding gave for it, gets the same fixture.
+function toPlace(name, countryCode) {
+  return { name, countryCode, key: `${name},${countryCode}`.toLowerCase() };
+}
+
+function resolvePlace(params) {
+  if (params.has('q')) {
+    const [name, countryCode = ''] = params.get('q').split(',').map(part => part.trim());
+    const [known] = searchOfflineCities(params.get('q'), 1);
+    if (known && normalizeSearchText(known.name) === normalizeSearchText(name)) return toPlace(known.name, known.country);
+    return toPlace(name, countryCode);
+  }
+  if (params.has('lat') && params.has('lon')) {
+    const known = placesByCoords.get(getCoordsKey(params.get('lat'), params.get('lon')));
+    if (known) return toPlace(known.name, known.countryCode);
+    const lat = Number(params.get('lat')).toFixed(2);
+    const lon = Number(params.get('lon')).toFixed(2);
+    return { name: `Location ${lat}, ${lon}`, key: `${lat},${lon}` };
+  }
+  if (params.has('zip')) {
+    return { name: `ZIP ${params.get('zip')}`, key: `zip:${params.get('zip')}`.toLowerCase() };
+  }
+  if (params.has('id')) {
+    return { name: `City #${params.get('id')}`, key: `id:${params.get('id')}` };
+  }
+  return null;
+}
+
+function createMockResponse(status, body, url) {
+  const text = JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    url,
+    headers: { get: name => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+}
+
+function resolveScenario(place, options) {
+  return getScenario((place && options.cities?.[place.name.toLowerCase()]) || options.scenario || 'normal');
+}
+
+const MOCK_ENDPOINTS = ['geo/direct', 'forecast/hourly', 'forecast/daily', 'weather'];
+
+// Generates { status, body } for a request path, or null for unknown paths.
+// Only the endpoint, not the base URL, feeds the seed.
+function generateMockPayload(path, params, options = {}) {
+  const endpoint = MOCK_ENDPOINTS.find(name => path.endsWith(`/${name}`));
+  if (!endpoint) return null;
+  const place = resolvePlace(params);
+  if (!place) return { status: 400, body: { cod: '400', message: 'Nothing to geocode' } };
+  const scenario = resolveScenario(place, options);
+  const seed = options.seed ?? MOCK_DEFAULT_SEED;
+  const now = Math.floor((options.now ?? Date.now()) / HOUR) * HOUR;
+  const random = createRandom(hashString(`${seed}:${place.key}:${endpoint}`));
+
+  if (endpoint === 'geo/direct') {
+    return { status: 200, body: scenario.status === 404 ? [] : buildGeocode(params.get('q') || '', place, Number(params.get('limit')) || 5) };
+  }
+  if (scenario.status) {
+    return { status: scenario.status, body: { cod: String(scenario.status), message: scenario.status === 404 ? 'city not found' : 'service unavailable' } };
+  }
+  switch (endpoint) {
+    case 'forecast/hourly':
+      return { status: 200, body: buildHourly(place, scenario, random, now, Number(params.get('cnt')) || 24) };
+    case 'forecast/daily':
+      return { status: 200, body: buildDaily(place, scenario, random, now, Number(params.get('cnt')) || 7) };
+    default:
+      return { status: 200, body: buildCurrent(place, scenario, random, now) };
+  }
+}
+
+// Options: seed, scenario (a MOCK_SCENARIOS name), cities (per-city scenario
+// overrides keyed by lower-case name), latency in ms, now, and the clock
+// the latency is waited out on (see SYSTEM_CLOCK in weather-core.mjs).
+function createMockFetch(options = {}) {
+  resolveScenario(null, options); // fail fast on a misspelt scenario
+  return async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url, 'http://mock.invalid');
+    const scenario = resolveScenario(resolvePlace(searchParams), options);
+    const latency = (options.latency || 0) + (scenario.latency || 0);
+    if (latency > 0) await sleep(latency, init.signal, options.clock);
+
+    const result = generateMockPayload(pathname, searchParams, options);
+    if (!result) return createMockResponse(404, { cod: '404', message: 'Unknown endpoint' }, url);
+    return createMockResponse(result.status, result.body, url);
+  };
+}
+
+// A current-conditions payload for one city, in the OpenWeather shape.
+function generateMockWeatherData(city, options = {}) {
+  return generateMockPayload('/weather', new URLSearchParams({ q: city }), options).body;
+}
+
+export {
+  MOCK_SCENARIOS,
+  createMockFetch,
+  generateMockPayload,
+  generateMockWeatherData
+};
@@ -0,0 +1,12 @@
+// CommonJS entry for Node.js scripts. It loads weather-node.mjs
+// through require(), which needs Node.js 20.19+ or 22.12+ (see "engines" in
+// package.json). Older versions fail here with an error saying so.
+const [major, minor] = process.versions.node.split('.').map(Number);
+if (!(major > 22 || (major === 22 && minor >= 12) || (major === 20 && minor >= 19))) {
+  throw new Error(
+    'weather-node.cjs needs Node.js 20.19+ or 22.12+ to require() ES modules (this is ' + process.version + '). ' +
+    "On older versions use import('./weather-node.mjs') instead."
+  );
+}
+
+module.exports = require('./weather-node.mjs');
@@ -0,0 +1,60 @@
+/*
+ * Weather module entry point for Node.js.
+ * Everything from weather-core.mjs, weather-mock.mjs and weather-icons.mjs,
+ * plus the `file` cache storage backed by a JSON file on disk.
+ */
+import fs from 'fs';
+import path from 'path';
+import { registerCacheStorage } from './weather-core.mjs';
+
+export * from './weather-core.mjs';
+export * from './weather-mock.mjs';
+export * from './weather-icons.mjs';
+
+// ==================== FILE STORAGE ====================
+class FileStorage {
+  constructor(options = {}) {
+    this.fs = options.fs || fs;
+    this.filePath = options.filePath || path.join(process.cwd(), '.weather-cache.json');
+    this.entries = {};
+  }
+
+  load() {
+    try {
+      this.entries = JSON.parse(this.fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Ignoring unreadable cache file:', error.message);
+      this.entries = {};
+    }
+    return Object.entries(this.entries);
+  }
+
+  write(key, entry) {
+    this.entries[key] = entry;
+    this.flush();
+  }
+
+  remove(key) {
+    if (!(key in this.entries)) return;
+    delete this.entries[key];
+    this.flush();
+  }
+
+  clear() {
+    this.entries = {};
+    this.flush();
+  }
+
+  flush() {
+    try {
+      this.fs.writeFileSync(this.filePath, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn('Cache file write failed:', error.message);
+    }
+  }
+}
+
+
+registerCacheStorage('file', FileStorage);
+
+export { FileStorage };